@@ -1,13 +1,58 @@
-class Sound {
+class Emitter {
+
+    constructor() {
+
+        this._listeners = {};
+    }
+
+    on(type, listener) {
+
+        (this._listeners[type] = this._listeners[type] || []).push(listener);
+        return this;
+    }
+
+    // remove a listener, or every listener of the type when omitted
+
+    off(type, listener) {
+
+        if (!this._listeners[type]) return this;
+        this._listeners[type] = listener ? this._listeners[type].filter((item) => item !== listener && item._listener !== listener) : [];
+        return this;
+    }
+
+    once(type, listener) {
+
+        let wrapper = (...args) => {
+            this.off(type, wrapper);
+            listener.apply(this, args);
+        };
+        wrapper._listener = listener;
+        return this.on(type, wrapper);
+    }
+
+    emit(type, ...args) {
+
+        let listeners = this._listeners[type];
+        if (!listeners) return this;
+        listeners.slice().forEach((listener) => listener.apply(this, args));
+        return this;
+    }
+}
+
+class Sound extends Emitter {
 
     /**
-       * src        : path to mp3
-       * bpm        : beat per minute
-       * offsetTime : remove blank sound at start for beat calculation (in seconds)
+       * Events : load, progress, error, play, pause (time, ended), stop (ended), ended (time), seek, sectionenter / sectionleave (label, section), beat ({ id, name, time, bar, beat, tick... }), kick ({ id, name, magnitude }, id -1 for MidiTrigger)
+       * src        : path to mp3, or File / Blob, or stems { name: path or File / Blob } (see also useMediaElement and useMicrophone)
+       * bpm        : beat per minute (detected from the track when omitted)
+       * offsetTime : remove blank sound at start for beat calculation (in seconds, first downbeat detected when omitted)
        * callback   : ready callback
        * debug      : enable debug display
+       * offline    : precompute kicks, beats and energy timeline once loaded, and replay kicks from it
        */
-    constructor(src, bpm, offsetTime, callback, debug = false) {
+    constructor(src, bpm, offsetTime, callback, debug = false, offline = false) {
+
+        super();
 
         // create context
         this.ctx;
@@ -21,33 +66,72 @@ class Sound {
 
         // values
         this._bpm = bpm;
-        this._beatDuration = 60 / this._bpm;
-        this._offsetTime = offsetTime;
+        this._beatDuration = bpm ? 60 / this._bpm : 0;
+        this._offsetTime = offsetTime || 0;
+        this._givenTempo = { bpm: bpm, offsetTime: offsetTime };
+        this._tempo = bpm ? { bpm: bpm, offset: this._offsetTime, confidence: 1 } : null;
         this._sections = [];
         this._kicks = [];
         this._beats = [];
+        this._modulators = [];
+        this._stems = [];
+        this._lastUpdate = 0;
         this._startTime = 0;
-        this._pauseTime = 0;
+        this._position = 0;
+        this._lastTime = 0;
+        this._playbackRate = 1;
+        this._loop = false;
+        this._loopStart = 0;
+        this._loopEnd = 0;
+        this._mode = 'buffer';
+        this._loadId = 0;
+        this._mediaElement = null;
+        this._mediaNode = null;
+        this._mediaNodes = new WeakMap();
+        this._mediaListeners = null;
+        this._onMediaError = null;
+        this._stream = null;
+        this._switch = null;
         this._isPlaying = false;
         this._isLoaded = false;
         this._progress = 0;
+        this._lookAhead = 0.1;
+        this._lateTolerance = 0.1;
+        this._scheduler = null;
+        this._offline = offline;
+        this._lastFrame = -1;
+        this._clock = null;
+        this._liveAnalysers = null;
+        this._listener = null;
+        this.analysis = null;
 
         // events
         this._onUpdate = this.onUpdate.bind(this);
         this._onEnded = this.onEnded.bind(this);
+        this._onSchedule = this.onSchedule.bind(this);
 
-        // create gain
+        // create gain, then the monitor switch muting the unmonitored microphone so the volume is kept
         this.gainNode = this.ctx.createGain();
-        this.gainNode.connect(this.ctx.destination);
+        this._monitorNode = this.ctx.createGain();
+        this.gainNode.connect(this._monitorNode);
+        this._monitorNode.connect(this.ctx.destination);
 
         // create analyser
         this.analyserNode = this.ctx.createAnalyser();
-        this.analyserNode.connect(this.gainNode);
-        this.analyserNode.smoothingTimeConstant = .8;
-        this.analyserNode.fftSize = 512;
-        let bufferLength = this.analyserNode.frequencyBinCount;
-        this.frequencyDataArray = new Uint8Array(bufferLength);
-        this.timeDomainDataArray = new Uint8Array(bufferLength);
+        this.analyser = new Analyser(this.analyserNode, { fftSize: 512, smoothingTimeConstant: .8 });
+        this._analysers = { main: this.analyser };
+        this._splitter = null;
+
+        // create decks, two paths into the effects and the analyser for crossfades
+        this._input = this.ctx.createGain();
+        this._decks = [this.ctx.createGain(), this.ctx.createGain()];
+        this._decks.forEach((deck) => deck.connect(this._input));
+        this._deck = 0;
+
+        // create effects chain, input -> effects heard by the analyser -> analyser -> other effects -> gain
+        this.effects = [];
+        this._wiring = [];
+        this._wireEffects();
 
         // create debug
         if (debug) this.debug = new Debug(this);
@@ -68,25 +152,428 @@ class Sound {
 
             this._isLoaded = false;
             this._progress = 0;
+            let id = ++this._loadId;
+
+            this.prepare(src, this._givenTempo, (track) => {
+                // a newer load or source switch drops this one
+                if (id !== this._loadId) return;
+                this.setTrack(track);
+                if (callback) callback();
+                this.emit('load');
+            }, (progress) => {
+                this._progress = progress;
+                this.emit('progress', this._progress);
+            }, (e) => {
+                if (id === this._loadId) this.emit('error', e);
+            });
+        }
+    }
+
+    /**
+       * Load, decode and analyse a track without making it current, see setTrack.
+       * src        : path to mp3, or File / Blob, or stems { name: path or File / Blob } played in sync (see Stem)
+       * bpm        : beat per minute (detected from the track when omitted)
+       * offsetTime : first downbeat in seconds (detected when omitted)
+       * callback   : called with the track { buffer, stems, analysis, bpm, offsetTime, tempo }, buffer being the mixdown of the stems
+       * onProgress : called with the loaded ratio
+       * onError    : called with the error when the track can't be loaded, decoded or analysed (callback is not called then), or when callback throws
+       */
+
+    prepare(src, { bpm, offsetTime } = {}, callback, onProgress, onError) {
+
+        let failed = false;
+        let fail = (e) => {
+            if (failed) return;
+            failed = true;
+            if (onError) onError(e);
+        };
+        let analyse = (buffer, stems) => {
+            let track = { buffer: buffer, stems: stems, analysis: null, bpm: bpm, offsetTime: offsetTime || 0, tempo: null };
+            let detectTempo = !bpm || offsetTime === undefined || offsetTime === null;
+            if (bpm) track.tempo = { bpm: bpm, offset: track.offsetTime, confidence: 1 };
+            if (!this._offline && !detectTempo) {
+                callback(track);
+                return;
+            }
+            // offline, each stem gets its own analysis for the kicks detected on it
+            let buffers = [buffer].concat(this._offline ? stems.map((stem) => stem.buffer) : []);
+            Promise.all(buffers.map((item) => this._analyse(item))).then(([analysis, ...stemAnalyses]) => {
+                if (!analysis || stemAnalyses.some((item) => !item)) {
+                    fail(new Error('Analysis of the track failed'));
+                    return;
+                }
+                stemAnalyses.forEach((item, i) => stems[i].analysis = item);
+                track.analysis = analysis;
+                if (detectTempo) {
+                    track.tempo = analysis.estimateTempo({ bpm: bpm });
+                    track.bpm = track.tempo.bpm;
+                    track.offsetTime = track.tempo.offset;
+                }
+                analysis.beats = analysis.beatGrid(60 / track.bpm, track.offsetTime);
+                callback(track);
+            }).catch(fail);
+        };
+
+        if (typeof src === 'string' || src instanceof Blob) {
+            this._fetch(src, (buffer) => analyse(buffer, []), onProgress, fail);
+            return;
+        }
 
-            // Load asynchronously
-            let request = new XMLHttpRequest();
-            request.open("GET", src, true);
-            request.responseType = "arraybuffer";
-            request.onprogress = (e) => {
-                this._progress = e.loaded / e.total;
+        // stems, mixed down once all decoded for the tempo, the analysis and the exports
+        let names = Object.keys(src);
+        let buffers = {};
+        let ratios = {};
+        names.forEach((name) => {
+            this._fetch(src[name], (buffer) => {
+                buffers[name] = buffer;
+                if (Object.keys(buffers).length < names.length) return;
+                let stems = names.map((item) => ({ name: item, buffer: buffers[item], analysis: null }));
+                analyse(this._mixdown(stems.map((stem) => stem.buffer)), stems);
+            }, (ratio) => {
+                ratios[name] = ratio;
+                if (onProgress) onProgress(names.reduce((sum, item) => sum + (ratios[item] || 0), 0) / names.length);
+            }, fail);
+        });
+    }
+
+    // download and decode a path or a File / Blob, onError is called with the error of any step
+
+    _fetch(src, callback, onProgress, onError) {
+
+        let progress = (e) => {
+            if (onProgress) onProgress(e.loaded / e.total);
+        };
+        let fail = (e) => {
+            console.log(e);
+            if (onError) onError(e);
+        };
+        let decode = (data) => {
+            this.ctx.decodeAudioData(data, callback, (e) => fail(e || new Error('Could not decode ' + (src.name || src))));
+        };
+
+        // local file
+        if (src instanceof Blob) {
+            let reader = new FileReader();
+            reader.onprogress = progress;
+            reader.onload = () => {
+                decode(reader.result);
             };
-            request.onload = () => {
-                this.ctx.decodeAudioData(request.response, (buffer) => {
-                    this._buffer = buffer;
-                    this._isLoaded = true;
-                    if (callback) callback();
-                }, function (e) {
-                    console.log(e);
-                });
+            reader.onerror = () => fail(reader.error);
+            reader.readAsArrayBuffer(src);
+            return;
+        }
+
+        // Load asynchronously
+        let request = new XMLHttpRequest();
+        request.open("GET", src, true);
+        request.responseType = "arraybuffer";
+        request.onprogress = progress;
+        request.onload = () => {
+            if (request.status >= 400) fail(new Error('Could not load ' + src + ' (' + request.status + ')'));
+            else decode(request.response);
+        };
+        request.onerror = () => fail(new Error('Could not load ' + src));
+        request.send();
+    }
+
+    // sum of the stems, as long as the longest one
+
+    _mixdown(buffers) {
+
+        let length = Math.max(...buffers.map((buffer) => buffer.length));
+        let channels = Math.max(...buffers.map((buffer) => buffer.numberOfChannels));
+        let mix = this.ctx.createBuffer(channels, length, buffers[0].sampleRate);
+        for (let c = 0; c < channels; c++) {
+            let data = mix.getChannelData(c);
+            buffers.forEach((buffer) => {
+                let input = buffer.getChannelData(Math.min(c, buffer.numberOfChannels - 1));
+                for (let i = 0; i < input.length; i++) {
+                    data[i] += input[i];
+                }
+            });
+        }
+        return mix;
+    }
+
+    /**
+       * Make a prepared track current. When playing, the new track starts at `when` and the playing one is handed over to the other deck.
+       * The playing track keeps the time, sections, kicks and beats until `when`, callback is called once the new track took over.
+       * track     : track given by prepare
+       * crossfade : fade duration in seconds, the playing track stops at `when` when 0
+       * when      : AudioContext time to switch at, now when omitted (gapless when set to the end of the playing track)
+       * callback  : called when the new track is current
+       */
+
+    setTrack(track, { crossfade = 0, when } = {}, callback) {
+
+        if (this._mode !== 'buffer') this._setMode('buffer');
+        this._finishSwitch(false);
+
+        let wasPlaying = this._isPlaying;
+        let now = this.ctx.currentTime;
+        when = Math.max(now, when || 0);
+        if (wasPlaying) this._handOver(when, crossfade);
+
+        // the playing stems are handed over with their source
+        if (!wasPlaying) this._stems.forEach((stem) => stem.dispose());
+        let stems = (track.stems || []).map((stem) => new Stem(this, stem.name, stem.buffer, stem.analysis));
+
+        // the audio is scheduled now to be gapless, the rest switches when it is heard
+        if (wasPlaying && when > now) {
+            this._switch = {
+                track: track,
+                stems: stems,
+                when: when,
+                callback: callback,
+                source: this._playSources(track.buffer, stems, this._decks[this._deck], when, 0),
+                timer: setTimeout(() => this._finishSwitch(true), (when - now) * 1000)
             };
-            request.send();
+            return;
+        }
+
+        this._applyTrack(track, stems);
+        if (wasPlaying) this._start(0, when);
+        if (callback) callback();
+    }
+
+    _applyTrack(track, stems) {
+
+        this._stems = stems;
+        this._updateStems();
+
+        this._buffer = track.buffer;
+        this.analysis = track.analysis;
+        this._tempo = track.tempo;
+        this._bpm = track.bpm;
+        this._beatDuration = track.bpm ? 60 / track.bpm : 0;
+        this._offsetTime = track.offsetTime;
+        this._isLoaded = true;
+        this._position = 0;
+        this._rewind(0);
+    }
+
+    // end a switch scheduled by setTrack : the new track becomes current, with its sources playing since `when`, or stopped
+
+    _finishSwitch(play) {
+
+        let pending = this._switch;
+        if (!pending) return;
+        clearTimeout(pending.timer);
+        this._switch = null;
+
+        this._applyTrack(pending.track, pending.stems);
+        this._startTime = pending.when;
+        this._lastFrame = -1;
+        if (play) {
+            this.sourceNode = pending.source;
+            this.sourceNode.addEventListener('ended', this._onEnded, false);
+            this._resyncBeats();
+        } else {
+            (pending.stems.length ? pending.stems.map((stem) => stem.sourceNode) : [pending.source]).forEach((source) => {
+                source.stop(0);
+                source.disconnect();
+            });
+            pending.stems.forEach((stem) => stem.sourceNode = null);
+        }
+        if (pending.callback) pending.callback();
+    }
+
+    // the playing source keeps going on its deck and fades out, the next one plays on the other deck
+
+    _handOver(when, crossfade) {
+
+        let now = this.ctx.currentTime;
+        let oldDeck = this._decks[this._deck];
+        let newDeck = this._decks[1 - this._deck];
+        let source = this.sourceNode;
+        let sources = this._sourceNodes;
+        let stems = this._stems;
+
+        oldDeck.gain.cancelScheduledValues(now);
+        oldDeck.gain.setValueAtTime(oldDeck.gain.value, now);
+        oldDeck.gain.setValueAtTime(oldDeck.gain.value, when);
+        oldDeck.gain.linearRampToValueAtTime(0, when + crossfade);
+        newDeck.gain.cancelScheduledValues(now);
+        newDeck.gain.setValueAtTime(crossfade ? 0 : 1, when);
+        newDeck.gain.linearRampToValueAtTime(1, when + crossfade);
+
+        if (source) {
+            source.removeEventListener('ended', this._onEnded, false);
+            source.addEventListener('ended', () => {
+                sources.forEach((item) => item.disconnect());
+                stems.forEach((stem) => stem.dispose());
+            }, false);
+            sources.forEach((item) => item.stop(when + crossfade));
+            this.sourceNode = null;
+        }
+        this._deck = 1 - this._deck;
+    }
+
+    // sources, all feeding the analyser
+
+    /**
+       * Decode a whole track, from a path or a File / Blob (drag and drop, file input).
+       * src      : path to mp3, or File / Blob
+       * callback : ready callback
+       */
+
+    load(src, callback) {
+
+        this._setMode('buffer');
+        this._load(src, callback);
+    }
+
+    /**
+       * Stream a long track through a media element instead of decoding it first. There is no offline analysis, so bpm must be given for beats.
+       * src      : path to the track, or an existing audio / video element
+       * callback : ready callback, once enough is loaded to play
+       * onError  : called with the error when the media can't be loaded or played, also sent as an error event
+       */
+
+    useMediaElement(src, callback, onError) {
+
+        this._setMode('element');
+
+        let element = src;
+        if (typeof src === 'string') {
+            element = new Audio();
+            element.crossOrigin = 'anonymous';
+            element.preload = 'auto';
+            element.src = src;
+        }
+
+        let id = this._loadId;
+        this._onMediaError = (e) => {
+            if (id !== this._loadId) return;
+            if (onError) onError(e);
+            this.emit('error', e);
+        };
+
+        // an element can only have one source node, it is kept for the next uses of the element
+        if (!this._mediaNodes.has(element)) this._mediaNodes.set(element, this.ctx.createMediaElementSource(element));
+        this._mediaElement = element;
+        this._mediaNode = this._mediaNodes.get(element);
+        this._mediaNode.connect(this._decks[this._deck]);
+
+        // removed by _setMode, so a replaced element doesn't report anymore
+        this._mediaListeners = {
+            ended: this._onEnded,
+            progress: () => {
+                if (element.buffered.length && element.duration) {
+                    this._progress = element.buffered.end(element.buffered.length - 1) / element.duration;
+                    this.emit('progress', this._progress);
+                }
+            },
+            canplay: () => {
+                element.removeEventListener('canplay', this._mediaListeners.canplay, false);
+                this._isLoaded = true;
+                if (callback) callback();
+                this.emit('load');
+            },
+            error: () => {
+                let message = element.error && element.error.message;
+                this._onMediaError(new Error('Loading the media ' + (element.currentSrc || element.src) + ' failed' + (message ? ': ' + message : '')));
+            }
+        };
+        for (let type in this._mediaListeners) {
+            element.addEventListener(type, this._mediaListeners[type], false);
+        }
+        if (element.readyState >= 3) this._mediaListeners.canplay();
+        else if (element.error) this._mediaListeners.error();
+    }
+
+    /**
+       * Live microphone input. Time runs from play, there is no duration, seek or loop.
+       * callback : ready callback
+       * monitor  : also play the input through the speakers (beware of feedback)
+       * onError  : called with the error when the microphone is denied or unavailable, also sent as an error event
+       */
+
+    useMicrophone(callback, monitor = false, onError) {
+
+        this._setMode('stream');
+
+        let id = this._loadId;
+        let fail = (e) => {
+            if (id !== this._loadId) return;
+            if (onError) onError(e);
+            this.emit('error', e);
+        };
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            fail(new Error('Microphone input is not supported in this browser'));
+            return;
+        }
+
+        navigator.mediaDevices.getUserMedia({ audio: true }).then((stream) => {
+            // another source was chosen while the permission was asked
+            if (id !== this._loadId) {
+                stream.getTracks().forEach((track) => track.stop());
+                return;
+            }
+            this._stream = stream;
+            this._mediaNode = this.ctx.createMediaStreamSource(stream);
+            this._mediaNode.connect(this._decks[this._deck]);
+            if (!monitor) this._monitorNode.gain.value = 0;
+            this._isLoaded = true;
+            if (callback) callback();
+            this.emit('load');
+        }, fail);
+    }
+
+    // stop and release the current source before switching to another
+
+    _setMode(mode) {
+
+        if (this._isPlaying) this.pause();
+
+        if (this._mediaNode) {
+            this._mediaNode.disconnect();
+            this._mediaNode = null;
+        }
+        if (this._mediaElement) {
+            for (let type in this._mediaListeners) {
+                this._mediaElement.removeEventListener(type, this._mediaListeners[type], false);
+            }
+            this._mediaElement.pause();
+            this._mediaElement = null;
+            this._mediaListeners = null;
+            this._onMediaError = null;
+        }
+        if (this._stream) {
+            this._stream.getTracks().forEach((track) => track.stop());
+            this._stream = null;
+            this._monitorNode.gain.value = 1;
         }
+        this._stems.forEach((stem) => stem.dispose());
+        this._stems = [];
+
+        this._loadId++;
+        this._mode = mode;
+        this._buffer = null;
+        this._isLoaded = false;
+        this._progress = 0;
+        this.analysis = null;
+        this._position = 0;
+        this._rewind(0);
+    }
+
+    get mode() {
+
+        return this._mode;
+    }
+
+    // offline analysis
+
+    _analyse(buffer) {
+
+        return Analysis.render(buffer, {
+            fftSize: this.analyserNode.fftSize,
+            smoothingTimeConstant: this.analyserNode.smoothingTimeConstant,
+            minDecibels: this.analyserNode.minDecibels,
+            maxDecibels: this.analyserNode.maxDecibels
+        }).catch(function (e) {
+            console.log(e);
+        });
     }
 
     get progress() {
@@ -101,45 +588,256 @@ class Sound {
 
     // sound actions
 
-    play(offset = 0) {
+    // play from the paused position, or from offset (in seconds) when given
 
-        if (this.req) cancelAnimationFrame(this.req);
-        this._onUpdate();
+    play(offset) {
+
+        if (this._clock) throw new Error('Cannot play while rendering');
+        this._start(offset);
+        this.emit('play', this.time);
+    }
+
+    // when : AudioContext time to start at, now when omitted
 
+    _start(offset, when) {
+
+        if (this.req) cancelAnimationFrame(this.req);
+        this._finishSwitch(false);
+        if (this.sourceNode) this._stopSource();
+
+        if (offset !== undefined) this._setPosition(offset);
+        if (this._loop && this.time >= this.loopEnd) this._setPosition(this._loopStart);
+        this._rewind(this.time);
+        this._startTime = Math.max(this.ctx.currentTime, when || 0);
+        this._lastFrame = -1;
         this._isPlaying = true;
-        let elapseTime = this._pauseTime - this._startTime + offset;
-        this._startTime = this.ctx.currentTime - elapseTime;
 
-        this.sourceNode = this.ctx.createBufferSource();
-        this.sourceNode.connect(this.analyserNode);
-        this.sourceNode.buffer = this._buffer;
-        this.sourceNode.start(0, elapseTime);
-        this.sourceNode.addEventListener('ended', this._onEnded, false);
+        if (this._mode === 'buffer') {
+            this.sourceNode = this._playSources(this._buffer, this._stems, this._decks[this._deck], this._startTime, this._position);
+            this.sourceNode.addEventListener('ended', this._onEnded, false);
+        } else if (this._mode === 'element') {
+            this._mediaElement.playbackRate = this._playbackRate;
+            let element = this._mediaElement;
+            let playing = element.play();
+            // refused by the autoplay policy or the media failed, an AbortError is only a pause before the start
+            if (playing) {
+                playing.catch((e) => {
+                    if (e.name === 'AbortError' || element !== this._mediaElement) return;
+                    if (this._isPlaying) this.pause();
+                    this._onMediaError(e);
+                });
+            }
+        }
+
+        this._onUpdate();
+        this._resyncBeats();
+        clearInterval(this._scheduler);
+        this._scheduler = setInterval(this._onSchedule, 25);
+        this._onSchedule();
     }
 
-    pause() {
+    // ended : see stop
+
+    pause(ended = false) {
 
         if (this.req) cancelAnimationFrame(this.req);
+        this._finishSwitch(false);
+
+        this._position = this.time;
+        this._stopSource();
+        if (this._mediaElement) this._mediaElement.pause();
+
+        clearInterval(this._scheduler);
+        this._scheduler = null;
+
+        this._isPlaying = false;
+        this._resyncBeats();
+        this.emit('pause', this.time, ended);
+    }
+
+    /**
+       * Pause and go back to the start.
+       * ended : stopped by the end of the track, passed to the pause and stop listeners to tell it from a user stop
+       */
+
+    stop(ended = false) {
+
+        this.pause(ended);
+        this._setPosition(0);
+        this._rewind(0);
+        this.emit('stop', ended);
+    }
+
+    // absolute position in seconds, keeps playing if playing
+
+    seek(time) {
+
+        time = Math.max(0, Math.min(this.duration, time));
+        if (this._isPlaying) {
+            this._start(time);
+        } else {
+            this._setPosition(time);
+            this._rewind(time);
+        }
+        this.emit('seek', time);
+    }
+
+    _setPosition(time) {
+
+        this._position = time;
+        if (this._mediaElement) this._mediaElement.currentTime = time;
+    }
+
+    _stopSource() {
 
         if (this.sourceNode) {
             this.sourceNode.removeEventListener('ended', this._onEnded, false);
-            this.sourceNode.stop(0);
-            this.sourceNode.disconnect();
+            this._sourceNodes.forEach((source) => {
+                source.stop(0);
+                source.disconnect();
+            });
+            this._stems.forEach((stem) => stem.sourceNode = null);
             this.sourceNode = null;
         }
+    }
+
+    // start the buffer, or every stem on the same clock, returns the source ending the track (the longest stem)
+
+    _playSources(buffer, stems, destination, when, offset) {
+
+        if (!stems.length) {
+            let source = this._createSource(buffer, destination);
+            source.start(when, offset);
+            return source;
+        }
+        stems.forEach((stem) => stem.start(destination, when, offset));
+        return stems.reduce((a, b) => b.buffer.duration > a.buffer.duration ? b : a).sourceNode;
+    }
 
-        this._pauseTime = this.ctx.currentTime;
-        this._isPlaying = false;
+    // buffer source set to the playback rate and loop of the sound
+
+    _createSource(buffer, destination) {
+
+        let source = this.ctx.createBufferSource();
+        source.connect(destination);
+        source.buffer = buffer;
+        source.playbackRate.value = this._playbackRate;
+        source.loop = this._loop;
+        source.loopStart = this._loopStart;
+        source.loopEnd = this.loopEnd;
+        return source;
+    }
+
+    // playing buffer sources, one per stem
+
+    get _sourceNodes() {
+
+        if (this._stems.length) return this._stems.filter((stem) => stem.sourceNode).map((stem) => stem.sourceNode);
+        return this.sourceNode ? [this.sourceNode] : [];
+    }
+
+    // the position moved backwards or forwards : re-arm once sections after it and restart beats and kicks from it
+
+    _rewind(time) {
+
+        this._lastTime = time;
+        this._lastFrame = -1;
+        this._restoreEffects(time);
+        for (let i in this._sections) {
+            let section = this._sections[i];
+            if (section.once && section.startTime >= time) section.called = false;
+        }
+        if (this._beatDuration) {
+            for (let i in this._beats) {
+                this._beats[i].resync(time - this._offsetTime, this._beatDuration);
+            }
+        }
     }
 
     get duration() {
 
+        if (this._mode === 'stream') return Infinity;
+        if (this._mode === 'element') return this._mediaElement && this._mediaElement.duration || 0;
         return this._isLoaded ? this._buffer.duration : 0;
     }
 
     get time() {
 
-        return this.isPlaying ? this.ctx.currentTime - this._startTime : this._pauseTime - this._startTime;
+        if (this._clock) return this._clock.time;
+        if (this._mediaElement) return this._mediaElement.currentTime;
+        if (!this._isPlaying) return this._position;
+
+        let time = this._position + Math.max(0, this.ctx.currentTime - this._startTime) * this._playbackRate;
+        let loopEnd = this.loopEnd;
+        if (this._loop && time >= loopEnd && loopEnd > this._loopStart) {
+            time = this._loopStart + (time - this._loopStart) % (loopEnd - this._loopStart);
+        }
+        return Math.min(time, this.duration);
+    }
+
+    set playbackRate(value) {
+
+        if (this._mode === 'stream') return;
+        if (this._isPlaying) {
+            this._position = this.time;
+            this._startTime = this.ctx.currentTime;
+            this._sourceNodes.forEach((source) => source.playbackRate.value = value);
+        }
+        if (this._mediaElement) this._mediaElement.playbackRate = value;
+        this._playbackRate = value;
+        this._resyncBeats();
+    }
+
+    get playbackRate() {
+
+        return this._playbackRate;
+    }
+
+    set loop(value) {
+
+        this._updateLoop(() => this._loop = value);
+    }
+
+    get loop() {
+
+        return this._loop;
+    }
+
+    set loopStart(value) {
+
+        this._updateLoop(() => this._loopStart = value);
+    }
+
+    get loopStart() {
+
+        return this._loopStart;
+    }
+
+    // loop end in seconds, the end of the track when 0
+
+    set loopEnd(value) {
+
+        this._updateLoop(() => this._loopEnd = value);
+    }
+
+    get loopEnd() {
+
+        return this._loopEnd > 0 ? this._loopEnd : this.duration;
+    }
+
+    _updateLoop(update) {
+
+        // rebase the position so time keeps wrapping from the current point
+        if (this._isPlaying) {
+            this._position = this.time;
+            this._startTime = this.ctx.currentTime;
+        }
+        update();
+        this._sourceNodes.forEach((source) => {
+            source.loop = this._loop;
+            source.loopStart = this._loopStart;
+            source.loopEnd = this.loopEnd;
+        });
     }
 
     set volume(value) {
@@ -157,88 +855,374 @@ class Sound {
         return this._isPlaying;
     }
 
+    // decoded AudioBuffer of the track, null for media elements and streams
+
+    get buffer() {
+
+        return this._mode === 'buffer' ? this._buffer : null;
+    }
+
+    // clock of the animations, the AudioContext time or the render clock while rendering
+
+    get now() {
+
+        return this._clock ? this._clock.now : this.ctx.currentTime;
+    }
+
+    get isRendering() {
+
+        return !!this._clock;
+    }
+
+    /**
+       * Deterministic rendering: playback is paused and the time only moves with step(), the analysers and kicks
+       * read the precomputed analysis so every frame is the same whatever the frame rate.
+       * time     : start time in seconds
+       * callback : called once the analysis is ready, it is computed first when the sound is not offline,
+       *            with an error when it failed, the track changed meanwhile or the start threw (callback itself included)
+       */
+
+    startRender(time, callback) {
+
+        if (!this.buffer) throw new Error('Rendering needs a decoded buffer');
+        if (this._isPlaying) this.pause();
+
+        let loadId = this._loadId;
+        let ready = (analysis) => {
+            let error = null;
+            if (loadId !== this._loadId) error = new Error('The track changed before the render started');
+            else if (!analysis) error = new Error('Analysis of the track failed');
+            else if (this._stems.some((stem) => !stem.analysis)) error = new Error('Analysis of the stem "' + this._stems.find((stem) => !stem.analysis).name + '" failed');
+            if (error) {
+                callback && callback(error);
+                return;
+            }
+            this.analysis = analysis;
+            this._liveAnalysers = this._analysers;
+            this._analysers = {};
+            for (let name in this._liveAnalysers) {
+                this._analysers[name] = new BufferAnalyser(this, analysis, this._liveAnalysers[name].channel);
+            }
+            this.analyser = this._analysers.main;
+            this._stems.forEach((stem) => {
+                stem.liveAnalyser = stem.analyser;
+                stem.analyser = new BufferAnalyser(this, stem.analysis);
+            });
+            this._clock = { time: time, now: this.ctx.currentTime };
+            this._lastUpdate = 0;
+            this._rewind(time);
+            callback && callback();
+        };
+        let stems = this._stems.filter((stem) => !stem.analysis);
+        if (this.analysis && !stems.length) {
+            ready(this.analysis);
+            return;
+        }
+        let buffers = [this.analysis ? null : this._buffer].concat(stems.map((stem) => stem.buffer));
+        Promise.all(buffers.map((buffer) => buffer ? this._analyse(buffer) : this.analysis)).then(([analysis, ...stemAnalyses]) => {
+            stemAnalyses.forEach((item, i) => stems[i].analysis = item);
+            ready(analysis);
+        }).catch((e) => callback && callback(e));
+    }
+
+    // move the render clock forward and update one frame, sections, kicks and beats fire as during playback
+
+    step(dt) {
+
+        if (!this._clock) throw new Error('step() needs startRender()');
+        this._clock.time = Math.min(this._clock.time + dt, this.duration);
+        this._clock.now += dt;
+        this.update();
+    }
+
+    // back to playback, paused at the render time
+
+    stopRender() {
+
+        if (!this._clock) return;
+        let time = this._clock.time;
+        this._clock = null;
+        this._analysers = this._liveAnalysers;
+        this._liveAnalysers = null;
+        this.analyser = this._analysers.main;
+        this._stems.forEach((stem) => {
+            stem.analyser = stem.liveAnalyser;
+            stem.liveAnalyser = null;
+        });
+        this._lastUpdate = 0;
+        this._setPosition(time);
+        this._rewind(time);
+    }
+
     // callback at specific time
 
     before(label, time, callback) {
 
-        let _this = this;
-        this._sections.push({
-            label: label,
-            condition: function () {
-                return _this.time < time;
-            },
-            callback: callback
-        });
-        return this;
+        return this.addSection({ label: label, end: time, callback: callback });
     }
 
     after(label, time, callback) {
 
-        let _this = this;
-        this._sections.push({
-            label: label,
-            condition: function () {
-                return _this.time > time;
-            },
-            callback: callback
-        });
-        return this;
+        return this.addSection({ label: label, start: time, callback: callback });
     }
 
     between(label, startTime, endTime, callback) {
 
-        let _this = this;
-        this._sections.push({
-            label: label,
-            condition: function () {
-                return _this.time > startTime && _this.time < endTime;
-            },
-            callback: callback
-        });
-        return this;
+        return this.addSection({ label: label, start: startTime, end: endTime, callback: callback });
     }
 
     onceAt(label, time, callback) {
 
-        let _this = this;
-        let thisSection = null;
-        this._sections.push({
+        return this.addSection({
             label: label,
-            condition: function () {
-                return _this.time > time && !this.called;
-            },
+            start: time,
+            once: true,
             callback: function () {
-                console.log('once :', thisSection.label)
+                console.log('once :', label);
                 callback.call(this);
-                thisSection.called = true;
-            },
-            called: false
+            }
         });
-        thisSection = this._sections[this._sections.length - 1];
-        return this;
     }
 
-    // sound analyser
-
-    getSpectrum() {
+    /**
+       * Add a section, see Section for the options. Kicks and beats are referred to by the name given to createKick / createBeat.
+       */
 
-        this.analyserNode.getByteFrequencyData(this.frequencyDataArray);
+    addSection(options) {
 
-        return this.frequencyDataArray;
+        let section = new Section(this, options);
+        this._validateNames(section.kicks, this._kicks, 'kick', section.label);
+        this._validateNames(section.beats, this._beats, 'beat', section.label);
+        this._validateEffects(section);
+        this._sections.push(section);
+        return this;
+    }
+
+    /**
+       * Cue sheet : { "signature": [4, 4], "sections": [{ "label": "drop", "start": 61, "end": 63, "kicks": ["snare"] }, { "label": "outro", "startBar": 60, "beats": [] }] }
+       * Kicks and beats must be created before the cue sheet is set. Sections switching kicks or beats may not overlap.
+       * Effects must be added before too, sections set them with "effects": { "filter": { "frequency": 20000, "ramp": 2, "curve": "exponential" } }.
+       * A setting lasts until another section changes it, seeking restores the settings of the sections before the new position.
+       * cueSheet : cue sheet object, or path to a JSON cue sheet
+       * callback : ready callback, called with the error when the cue sheet can't be loaded or is invalid, the previous one is then kept
+       */
+
+    loadCueSheet(cueSheet, callback) {
+
+        let done = (error) => {
+            if (callback) callback(error);
+            else if (error) console.log(error);
+        };
+        let set = (cueSheet) => {
+            try {
+                this.setCueSheet(cueSheet);
+            }
+            catch (e) {
+                done(e);
+                return;
+            }
+            done();
+        };
+
+        if (typeof cueSheet !== 'string') {
+            set(cueSheet);
+            return;
+        }
+
+        // invalid JSON gives a null response
+        let request = new XMLHttpRequest();
+        request.open("GET", cueSheet, true);
+        request.responseType = "json";
+        request.onload = () => {
+            if (request.status >= 400) done(new Error('Loading the cue sheet ' + cueSheet + ' failed with status ' + request.status));
+            else set(request.response);
+        };
+        request.onerror = () => done(new Error('Loading the cue sheet ' + cueSheet + ' failed'));
+        request.send();
+    }
+
+    setCueSheet(cueSheet) {
+
+        if (!cueSheet || !Array.isArray(cueSheet.sections)) {
+            throw new Error('Cue sheet needs a sections array');
+        }
+
+        let sections = cueSheet.sections.map((options) => {
+            if (!options.label) throw new Error('Cue sheet section without label');
+            return new Section(this, Object.assign({ signature: cueSheet.signature }, options));
+        });
+        sections.forEach((section) => {
+            this._validateNames(section.kicks, this._kicks, 'kick', section.label);
+            this._validateNames(section.beats, this._beats, 'beat', section.label);
+            this._validateEffects(section);
+        });
+
+        // sections switching kicks or beats define the state at a given time, they can't overlap
+        let ranges = sections.filter((section) => !section.once && (section.kicks || section.beats));
+        ranges.sort((a, b) => a.startTime - b.startTime);
+        for (let i = 1; i < ranges.length; i++) {
+            if (ranges[i].startTime < ranges[i - 1].endTime) {
+                throw new Error('Cue sheet sections "' + ranges[i - 1].label + '" and "' + ranges[i].label + '" overlap');
+            }
+        }
+
+        this._sections = this._sections.filter((section) => !section.fromCueSheet);
+        sections.forEach((section) => {
+            section.fromCueSheet = true;
+            this._sections.push(section);
+        });
+        this._restoreEffects(this.time);
+    }
+
+    getCueSheet() {
+
+        return {
+            sections: this._sections.filter((section) => section.fromCueSheet).map((section) => section.toJSON())
+        };
+    }
+
+    _validateNames(names, items, type, label) {
+
+        if (!names) return;
+        names.forEach((name) => {
+            if (!items.some((item) => item.name === name)) {
+                throw new Error('Unknown ' + type + ' "' + name + '" in section "' + label + '"');
+            }
+        });
+    }
+
+    // switch the named kicks and beats to the ones listed by the section, and set its effects
+
+    _applySection(section) {
+
+        if (section.kicks) {
+            this._kicks.forEach((kick) => {
+                if (kick.name === undefined) return;
+                section.kicks.indexOf(kick.name) > -1 ? kick.on() : kick.off();
+            });
+        }
+        if (section.beats) {
+            this._beats.forEach((beat) => {
+                if (beat.name === undefined) return;
+                section.beats.indexOf(beat.name) > -1 ? beat.on() : beat.off();
+            });
+        }
+        for (let name in section.effects) {
+            let { ramp, curve, ...values } = section.effects[name];
+            this.getEffect(name).set(values, { ramp, curve });
+        }
+    }
+
+    getKick(name) {
+
+        return this._kicks.find((kick) => kick.name === name);
+    }
+
+    getBeat(name) {
+
+        return this._beats.find((beat) => beat.name === name);
+    }
+
+    // start time of a bar, counted from the offset time
+
+    barTime(bar, signature = [4, 4]) {
+
+        return this._offsetTime + bar * signature[0] * this._beatDuration * 4 / signature[1];
+    }
+
+    // sound analyser
+
+    getSpectrum() {
+
+        return this.analyser.getSpectrum();
     }
 
     getWaveform() {
 
-        this.analyserNode.getByteTimeDomainData(this.timeDomainDataArray);
+        return this.analyser.getWaveform();
+    }
 
-        return this.timeDomainDataArray;
+    getFloatSpectrum() {
+
+        return this.analyser.getFloatSpectrum();
+    }
+
+    getFloatWaveform() {
+
+        return this.analyser.getFloatWaveform();
+    }
+
+    get frequencyDataArray() {
+
+        return this.analyser.frequencyDataArray;
+    }
+
+    get timeDomainDataArray() {
+
+        return this.analyser.timeDomainDataArray;
+    }
+
+    // features of the main analyser, updated every frame (see Analyser.update)
+
+    get features() {
+
+        return this.analyser.features;
+    }
+
+    /**
+       * Change the main analyser settings, kicks set by band follow. The offline analysis keeps the settings it was computed with.
+       * options : fftSize, smoothingTimeConstant, minDecibels, maxDecibels
+       */
+
+    configureAnalyser(options) {
+
+        this.analyser.configure(options);
+        this._stems.forEach((stem) => stem.analyser.configure(options));
+    }
+
+    /**
+       * Add an analyser reading the same signal, at another resolution or on one stereo channel. Its features are updated every frame.
+       * name    : name to get it back
+       * options : Analyser options (fftSize, smoothingTimeConstant, minDecibels, maxDecibels, channel)
+       */
+
+    addAnalyser(name, options = {}) {
+
+        let node = this.ctx.createAnalyser();
+        let channel = options.channel || 'mix';
+        if (channel === 'mix') {
+            this.analyserNode.connect(node);
+        } else {
+            if (!this._splitter) {
+                this._splitter = this.ctx.createChannelSplitter(2);
+                this.analyserNode.connect(this._splitter);
+            }
+            this._splitter.connect(node, channel === 'left' ? 0 : 1);
+        }
+
+        let analyser = new Analyser(node, options);
+        this._analysers[name] = analyser;
+        return analyser;
+    }
+
+    getAnalyser(name = 'main') {
+
+        return this._analysers[name];
+    }
+
+    removeAnalyser(name) {
+
+        let analyser = this._analysers[name];
+        if (!analyser || analyser === this.analyser) return;
+        (analyser.channel === 'mix' ? this.analyserNode : this._splitter).disconnect(analyser.node);
+        delete this._analysers[name];
     }
 
     getFrequency(freq, endFreq = null) {
 
         let sum = 0;
         let spectrum = this.getSpectrum();
-        if (endFreq !== undefined) {
+        if (endFreq !== null) {
             for (var i = freq; i <= endFreq; i++) {
                 sum += spectrum[i];
             }
@@ -248,6 +1232,45 @@ class Sound {
         }
     }
 
+    // frequency bands in Hz
+
+    /**
+       * Inclusive bin range of a band for the current analyser.
+       * band : band name (sub, bass, low-mid, mid, high-mid, presence, brilliance) or [startHz, endHz]
+       */
+
+    binRange(band) {
+
+        return Bands.toBins(band, this.ctx.sampleRate, this.analyser.fftSize);
+    }
+
+    // average amplitude (0 - 255) of a band name or [startHz, endHz]
+
+    getBand(band) {
+
+        let [from, to] = this.binRange(band);
+        return this.getFrequency(from, to);
+    }
+
+    /**
+       * Average amplitudes (0 - 255) of every band of a grouping.
+       * grouping : 'named', 'octave', 'third-octave', 'bark', 'log' or an array of bands
+       * count    : number of bands for 'log'
+       */
+
+    getBands(grouping = 'octave', count = 16) {
+
+        let spectrum = this.getSpectrum();
+        return Bands.group(grouping, count).map((band) => {
+            let [from, to] = this.binRange(band);
+            let sum = 0;
+            for (let i = from; i <= to; i++) {
+                sum += spectrum[i];
+            }
+            return sum / (to - from + 1);
+        });
+    }
+
     /**
        * Kicks are detected when the amplitude (normalized values between 0 and 1) of a specified frequency, or the max amplitude over a range, is greater than the minimum threshold, as well as greater than the previously registered kick's amplitude, which is decreased by the decay rate per frame.
        * frequency : the frequency (element of the spectrum) to check for a spike. Can be a single frequency (number) or a range (2 element array) that uses the frequency with highest amplitude.
@@ -255,291 +1278,5786 @@ class Sound {
        * decay     : the rate that the previously registered kick's amplitude is reduced by on every frame.
        * onKick    : the callback to be called when a kick is detected.
        * offKick   : the callback to be called when there is no kick on the current frame.
+       * band      : band name or [startHz, endHz] instead of frequency, converted to bins for the current analyser.
+       * name      : name used by sections and cue sheets
+       * mode      : 'threshold' as described above, or 'adaptive' : spectral flux over the frequency range compared to its recent median, threshold being the margin above it and decay unused
+       * sensitivity : (adaptive) how far above the median of the flux a kick must be
+       * window      : (adaptive) seconds of flux history for the median
+       * minInterval : (adaptive) minimum seconds between two kicks
+       * release     : (adaptive) seconds for the strength of the last kick to fall by 63%, a new kick must be above it
+       * stem        : name of the stem to detect on, see Stem. The whole mix is used while the track has no such stem
+       */
+
+    createKick({ name, frequency, band, threshold, decay, mode, sensitivity, window, minInterval, release, stem, onKick, offKick }) {
+
+        let kick = new Kick({ name, frequency, band, threshold, decay, mode, sensitivity, window, minInterval, release, stem, onKick, offKick });
+        this._resolveBand(kick);
+        this._kicks.push(kick);
+        return kick;
+    }
+
+    /**
+       * Beats are scheduled ahead on the AudioContext clock and delivered with their exact time and bar / beat / tick position
+       * factor      : the factor to multiply the duration of one beat
+       * subdivision : number of ticks per beat (2 for eighths in 4/4)
+       * signature   : [beats per bar, note value], 4/4 by default, 6/8 counts eighths
+       * onBeat      : the callback to be called when a beat is reached, with { time, beatTime, index, bar, beat, tick }
+       * onSchedule  : the callback to be called ahead of time with the same info, to schedule audio at `time`
+       * name        : name used by sections and cue sheets
+       * stem        : name of a stem, the beat is silent while the stem is muted or soloed out
+       */
+
+    createBeat({ name, factor, subdivision, signature, stem, onBeat, onSchedule }) {
+
+        let beat = new Beat({ name, factor, subdivision, signature, stem, onBeat, onSchedule });
+        this._beats.push(beat);
+        if (this._beatDuration) beat.resync(this._beatTime, this._beatDuration);
+        return beat;
+    }
+
+    // modulation, continuous 0 - 1 values sampled every frame
+
+    /**
+       * Envelope follower, see Follower for the options
+       */
+
+    createFollower({ source, min, max, attack, release }) {
+
+        let follower = new Follower({ source, min, max, attack, release });
+        this._modulators.push(follower);
+        return follower;
+    }
+
+    /**
+       * LFO synced to beatDuration and the offset time, see LFO for the options
+       */
+
+    createLFO({ shape, beats, phase } = {}) {
+
+        let lfo = new LFO({ shape, beats, phase });
+        this._modulators.push(lfo);
+        return lfo;
+    }
+
+    /**
+       * ADSR envelope, see Envelope for the options
+       * kick : kick (name or instance, true for any) triggering the envelope
+       * beat : beat (name or instance, true for any) triggering the envelope
+       */
+
+    createEnvelope({ attack, decay, sustain, hold, release, kick, beat } = {}) {
+
+        let envelope = new Envelope({ attack, decay, sustain, hold, release });
+        let matches = (target, items, e) => target === true || target === e.name && e.name !== undefined || target === items[e.id];
+        let onKick = (e) => {
+            if (matches(kick, this._kicks, e)) envelope.trigger();
+        };
+        let onBeat = (e) => {
+            if (matches(beat, this._beats, e)) envelope.trigger();
+        };
+        if (kick) this.on('kick', onKick);
+        if (beat) this.on('beat', onBeat);
+        envelope._unbind = () => this.off('kick', onKick).off('beat', onBeat);
+        this._modulators.push(envelope);
+        return envelope;
+    }
+
+    // any object with a value and update(dt, sound), like the MIDI triggers and controls
+
+    addModulator(modulator) {
+
+        this._modulators.push(modulator);
+        return modulator;
+    }
+
+    removeModulator(modulator) {
+
+        if (modulator._unbind) modulator._unbind();
+        this._modulators = this._modulators.filter((item) => item !== modulator);
+    }
+
+    // stems
+
+    get stems() {
+
+        return this._stems;
+    }
+
+    getStem(name) {
+
+        return this._stems.find((stem) => stem.name === name);
+    }
+
+    // apply the volume, mute and solo of every stem, a soloed stem silences the others
+
+    _updateStems() {
+
+        let solo = this._stems.some((stem) => stem.solo);
+        this._stems.forEach((stem) => stem.setAudible(!stem.muted && (!solo || stem.solo)));
+    }
+
+    // analysis the kick is replayed from, the one of its stem if any
+
+    kickAnalysis(kick) {
+
+        let stem = kick.stem && this.getStem(kick.stem);
+        return stem ? stem.analysis : this.analysis;
+    }
+
+    // effects chain
+
+    /**
+       * Insert an effect, see Effect and its subclasses.
+       * name   : name used by getEffect and the sections
+       * effect : Effect instance
+       * index  : position in the chain, last when omitted
+       */
+
+    addEffect(name, effect, index = this.effects.length) {
+
+        if (this.getEffect(name)) throw new Error('Effect "' + name + '" already exists');
+        effect.name = name;
+        effect.init(this);
+        this.effects.splice(index, 0, effect);
+        this._wireEffects();
+        return effect;
+    }
+
+    getEffect(name) {
+
+        return this.effects.find((effect) => effect.name === name);
+    }
+
+    removeEffect(name) {
+
+        let effect = this.getEffect(name);
+        if (!effect) return;
+        this.effects = this.effects.filter((item) => item !== effect);
+        this._wireEffects();
+        effect.dispose();
+    }
+
+    moveEffect(name, index) {
+
+        let effect = this.getEffect(name);
+        if (!effect) throw new Error('Unknown effect "' + name + '"');
+        this.effects.splice(this.effects.indexOf(effect), 1);
+        this.effects.splice(index, 0, effect);
+        this._wireEffects();
+    }
+
+    // connect the chain again, only the links made here are undone so the other analysers stay connected
+
+    _wireEffects() {
+
+        this._wiring.forEach(([from, to]) => from.disconnect(to));
+        this._wiring = [];
+        let node = this._input;
+        let link = (to) => {
+            node.connect(to);
+            this._wiring.push([node, to]);
+        };
+
+        this.effects.filter((effect) => effect.analyser === 'post').forEach((effect) => {
+            link(effect.input);
+            node = effect.output;
+        });
+        link(this.analyserNode);
+        node = this.analyserNode;
+        this.effects.filter((effect) => effect.analyser === 'pre').forEach((effect) => {
+            link(effect.input);
+            node = effect.output;
+        });
+        link(this.gainNode);
+    }
+
+    /**
+       * Keep the AudioListener on a Three.js object, usually the camera, so the PannerEffects are heard from there.
+       */
+
+    set listener(object) {
+
+        this._listener = object;
+        if (object) this._updateListener();
+    }
+
+    get listener() {
+
+        return this._listener;
+    }
+
+    _updateListener() {
+
+        let listener = this.ctx.listener;
+        let position = this._listener.getWorldPosition(new THREE.Vector3());
+        let quaternion = this._listener.getWorldQuaternion(new THREE.Quaternion());
+        let forward = new THREE.Vector3(0, 0, -1).applyQuaternion(quaternion);
+        let up = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion);
+        if (listener.positionX) {
+            // glided like the panners, against zipper noise
+            let now = this.ctx.currentTime;
+            [
+                [listener.positionX, position.x], [listener.positionY, position.y], [listener.positionZ, position.z],
+                [listener.forwardX, forward.x], [listener.forwardY, forward.y], [listener.forwardZ, forward.z],
+                [listener.upX, up.x], [listener.upY, up.y], [listener.upZ, up.z]
+            ].forEach(([param, value]) => param.setTargetAtTime(value, now, 0.02));
+        } else {
+            listener.setPosition(position.x, position.y, position.z);
+            listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+        }
+    }
+
+    // effect settings of a section, { effectName: { param: value, ramp, curve } }
+
+    _validateEffects(section) {
+
+        for (let name in section.effects) {
+            let effect = this.getEffect(name);
+            if (!effect) throw new Error('Unknown effect "' + name + '" in section "' + section.label + '"');
+            for (let param in section.effects[name]) {
+                if (param === 'ramp' || param === 'curve') continue;
+                if (effect.params[param] === undefined) {
+                    throw new Error('Unknown parameter "' + param + '" of effect "' + name + '" in section "' + section.label + '"');
+                }
+                // value before any section changed it, restored when seeking before the sections setting it
+                if (!(param in effect.base)) effect.base[param] = effect.get(param);
+            }
+        }
+    }
+
+    // effects as they would be after playing up to time : the values before the sections, then the ones of every section started, in order
+
+    _restoreEffects(time) {
+
+        let values = {};
+        this.effects.forEach((effect) => values[effect.name] = Object.assign({}, effect.base));
+        this._sections
+            .filter((section) => section.effects && section.startTime < time)
+            .sort((a, b) => a.startTime - b.startTime)
+            .forEach((section) => {
+                for (let name in section.effects) {
+                    let { ramp, curve, ...settings } = section.effects[name];
+                    if (values[name]) Object.assign(values[name], settings);
+                }
+            });
+        this.effects.forEach((effect) => effect.set(values[effect.name]));
+    }
+
+    // kicks set by band follow the analyser configuration
+
+    _resolveBand(kick) {
+
+        if (kick.band !== undefined) kick.frequency = this.binRange(kick.band);
+    }
+
+    // time relative to the offset time, the origin of the beat grid
+
+    get _beatTime() {
+
+        return this.time - this._offsetTime;
+    }
+
+    _toContextTime(beatTime) {
+
+        return this.now + (beatTime + this._offsetTime - this.time) / this._playbackRate;
+    }
+
+    _resyncBeats() {
+
+        if (!this._beatDuration) return;
+        for (let i in this._beats) {
+            this._beats[i].resync(this._beatTime, this._beatDuration);
+        }
+    }
+
+    get beatDuration() {
+
+        return this._beatDuration;
+    }
+
+    get bpm() {
+
+        return this._bpm;
+    }
+
+    // { bpm, offset, confidence } given or detected once loaded
+
+    get tempo() {
+
+        return this._tempo;
+    }
+
+    /**
+       * Change the tempo by hand, like tap tempo. The beats restart on the new grid.
+       * bpm        : beat per minute
+       * offsetTime : first downbeat in seconds, kept when omitted
        */
 
-    createKick({ frequency, threshold, decay, onKick, offKick }) {
+    setTempo(bpm, offsetTime = this._offsetTime) {
+
+        this._bpm = bpm;
+        this._beatDuration = 60 / bpm;
+        this._offsetTime = offsetTime;
+        this._tempo = { bpm: bpm, offset: offsetTime, confidence: 1 };
+        if (this.analysis) this.analysis.beats = this.analysis.beatGrid(this._beatDuration, offsetTime);
+        this._resyncBeats();
+    }
+
+    // position (0 - 1) in the current cycle of a number of beats, 1 for the beat, 4 for a 4/4 bar
+
+    phase(beats = 1) {
+
+        if (!this._beatDuration) return 0;
+        let cycles = (this.time - this.barTime(0)) / (this._beatDuration * beats);
+        return cycles - Math.floor(cycles);
+    }
+
+    //
+
+    onUpdate() {
+
+        this.req = requestAnimationFrame(this._onUpdate);
+        this.update();
+    }
+
+    // one frame of analysers, sections, kicks and modulators
+
+    update() {
+
+        this._checkLoop();
+
+        for (let name in this._analysers) {
+            this._analysers[name].update();
+        }
+        this._stems.forEach((stem) => stem.analyser.update());
+
+        for (let i in this._sections) {
+            let section = this._sections[i];
+            let isActive = section.condition();
+            if (isActive && !section.isActive) {
+                this._applySection(section);
+                this.emit('sectionenter', section.label, section);
+            } else if (!isActive && section.isActive) {
+                this.emit('sectionleave', section.label, section);
+            }
+            section.isActive = isActive;
+            if (isActive) {
+                if (section.callback) section.callback.call(this);
+                if (section.once) section.called = true;
+            }
+        }
+
+        if ((this._offline || this._clock) && this.analysis) {
+            let frame = this.analysis.frameAt(this.time);
+            for (let i in this._kicks) {
+                this._resolveBand(this._kicks[i]);
+                this._kicks[i].replay(this.kickAnalysis(this._kicks[i]), this._lastFrame, frame);
+            }
+            this._lastFrame = frame;
+        } else {
+            let spectrum = this.getSpectrum();
+            for (let i in this._kicks) {
+                let stem = this._kicks[i].stem && this.getStem(this._kicks[i].stem);
+                this._resolveBand(this._kicks[i]);
+                this._kicks[i].calc(stem ? stem.analyser.getSpectrum() : spectrum, this.time);
+            }
+        }
+        for (let i = 0; i < this._kicks.length; i++) {
+            let kick = this._kicks[i];
+            if (kick.isKick) this.emit('kick', { id: i, name: kick.name, magnitude: kick.magnitude });
+        }
+
+        this.onSchedule();
+
+        let now = this.now;
+        let dt = this._lastUpdate ? Math.min(now - this._lastUpdate, 0.1) : 0;
+        this._lastUpdate = now;
+        for (let i in this._modulators) {
+            this._modulators[i].update(dt, this);
+        }
+        if (this._listener) this._updateListener();
+        this.effects.forEach((effect) => effect.update());
+        this._stems.forEach((stem) => stem.panner && stem.panner.update());
+
+        if (this.debug) this.debug.draw();
+    }
+
+    // a loop wrap moves the time backwards, like a seek
+
+    _checkLoop() {
+
+        let time = this.time;
+
+        // media elements only loop whole, the region is looped by seeking
+        if (this._mediaElement && this._loop && time >= this.loopEnd) {
+            this._mediaElement.currentTime = time = this._loopStart;
+        }
+
+        if (this._isPlaying && time < this._lastTime) {
+            if (this._mode === 'buffer') {
+                this._position = this._loopStart;
+                this._startTime = this.ctx.currentTime - (time - this._loopStart) / this._playbackRate;
+            }
+            this._rewind(this._loopStart);
+        }
+        this._lastTime = time;
+    }
+
+    // look-ahead beat scheduler, also run from a timer so beats keep their time when frames are late
+
+    onSchedule() {
+
+        if (!(this._isPlaying || this._clock) || !this._beatDuration) return;
+
+        this._checkLoop();
+        let time = this._beatTime;
+        let until = time + this._lookAhead * this._playbackRate;
+        if (this._loop) until = Math.min(until, this.loopEnd - this._offsetTime - 1e-6);
+        let toContextTime = this._toContextTime.bind(this);
+        for (let i in this._beats) {
+            let stem = this._beats[i].stem && this.getStem(this._beats[i].stem);
+            let audible = !stem || stem.isAudible;
+            this._beats[i].schedule(until, this._beatDuration, toContextTime, audible);
+            this._beats[i].dispatch(time, this._lateTolerance, audible).forEach((info) => {
+                this.emit('beat', Object.assign({ id: Number(i), name: this._beats[i].name }, info));
+            });
+        }
+    }
+
+    // stopped first so the ended listeners can play the next track, they get the end time as the sound is rewound by then
+
+    onEnded() {
+
+        let time = this.time;
+        this.stop(true);
+        this.emit('ended', time);
+    }
+};
+
+class Stem {
+
+    /**
+       * One part of a multi-stem track (drums, bass...), started with the other stems on the same clock, see Sound.prepare.
+       * Its analyser hears it before the gain, so kicks detected on a muted stem still fire.
+       * sound    : Sound playing the stem
+       * name     : name given to createKick / createBeat
+       * buffer   : decoded AudioBuffer
+       * analysis : offline Analysis of the stem, when the sound is offline
+       */
+    constructor(sound, name, buffer, analysis = null) {
+
+        let ctx = sound.ctx;
+        this.sound = sound;
+        this.name = name;
+        this.buffer = buffer;
+        this.analysis = analysis;
+        this.sourceNode = null;
+        this.liveAnalyser = null;
+        this.panner = null;
+        this._volume = 1;
+        this._muted = false;
+        this._solo = false;
+        this._isAudible = true;
+
+        this.input = ctx.createGain();
+        this.gainNode = ctx.createGain();
+        this.analyserNode = ctx.createAnalyser();
+        this.analyser = new Analyser(this.analyserNode, {
+            fftSize: sound.analyserNode.fftSize,
+            smoothingTimeConstant: sound.analyserNode.smoothingTimeConstant,
+            minDecibels: sound.analyserNode.minDecibels,
+            maxDecibels: sound.analyserNode.maxDecibels
+        });
+        this.input.connect(this.gainNode);
+        this.input.connect(this.analyserNode);
+    }
+
+    // play from offset (in seconds) at the AudioContext time `when`, into destination
+
+    start(destination, when, offset) {
+
+        this.gainNode.disconnect();
+        this.gainNode.connect(destination);
+        this.sourceNode = this.sound._createSource(this.buffer, this.input);
+        this.sourceNode.start(when, offset);
+    }
+
+    /**
+       * Place the stem on a Three.js object through its own PannerEffect, heard from sound.listener, so each stem can sit on a different object.
+       * The panner comes after the analyser of the stem and before the master effects.
+       * object  : Object3D followed every frame, null to take the stem out of the space
+       * options : PannerEffect options (panningModel, distanceModel, refDistance, maxDistance, rolloff, mix) when first attached
+       */
+
+    attach(object, options = {}) {
+
+        if (!object) {
+            if (!this.panner) return this;
+            this.input.disconnect(this.panner.input);
+            this.panner.dispose();
+            this.panner = null;
+            this.input.connect(this.gainNode);
+            return this;
+        }
+        if (this.panner) {
+            this.panner.attach(object);
+            return this;
+        }
+        this.panner = new PannerEffect(Object.assign({}, options, { object: object }));
+        this.panner.name = this.name;
+        this.panner.init(this.sound);
+        this.input.disconnect(this.gainNode);
+        this.input.connect(this.panner.input);
+        this.panner.output.connect(this.gainNode);
+        return this;
+    }
+
+    set volume(value) {
+
+        this._volume = value;
+        this.sound._updateStems();
+    }
+
+    get volume() {
+
+        return this._volume;
+    }
+
+    set muted(value) {
+
+        this._muted = !!value;
+        this.sound._updateStems();
+    }
+
+    get muted() {
+
+        return this._muted;
+    }
+
+    set solo(value) {
+
+        this._solo = !!value;
+        this.sound._updateStems();
+    }
+
+    get solo() {
+
+        return this._solo;
+    }
+
+    // heard, neither muted nor silenced by the solo of another stem
+
+    get isAudible() {
+
+        return this._isAudible;
+    }
+
+    // short ramp so muting doesn't click
+
+    setAudible(isAudible) {
+
+        let now = this.sound.ctx.currentTime;
+        this._isAudible = isAudible;
+        this.gainNode.gain.cancelScheduledValues(now);
+        this.gainNode.gain.setTargetAtTime(isAudible ? this._volume : 0, now, 0.01);
+    }
+
+    dispose() {
+
+        this.input.disconnect();
+        this.gainNode.disconnect();
+        if (this.panner) this.panner.dispose();
+    }
+}
+
+class Kick {
+
+    constructor({ name, frequency, band, threshold, decay, mode, sensitivity, window, minInterval, release, stem, onKick, offKick }) {
+
+        this.name = name;
+        this.stem = stem;
+        this.frequency = frequency !== undefined ? frequency : [0, 10];
+        this.band = band;
+        this.mode = mode !== undefined ? mode : 'threshold';
+        this.threshold = threshold !== undefined ? threshold : this.mode === 'adaptive' ? 4 : 0.3;
+        this.decay = decay !== undefined ? decay : 0.02;
+        this.sensitivity = sensitivity !== undefined ? sensitivity : 1.5;
+        this.window = window !== undefined ? window : 1;
+        this.minInterval = minInterval !== undefined ? minInterval : 0.1;
+        this.release = release !== undefined ? release : 0.1;
+        this.onKick = onKick;
+        this.offKick = offKick;
+        this.isOn = false;
+        this.isKick = false;
+        this.magnitude = 0;
+        this.currentThreshold = this.threshold;
+        this._state = this.createState();
+    }
+
+    on() {
+
+        if (!this.isOn) this._state = this.createState();
+        this.isOn = true;
+    }
+
+    off() {
+
+        this.isOn = false;
+    }
+
+    set({ frequency, band, threshold, decay, mode, sensitivity, window, minInterval, release, stem, onKick, offKick }) {
+
+        this.stem = stem !== undefined ? stem : this.stem;
+        this.frequency = frequency !== undefined ? frequency : this.frequency;
+        this.band = band !== undefined ? band : frequency !== undefined ? undefined : this.band;
+        this.threshold = threshold !== undefined ? threshold : this.threshold;
+        this.decay = decay !== undefined ? decay : this.decay;
+        this.mode = mode !== undefined ? mode : this.mode;
+        this.sensitivity = sensitivity !== undefined ? sensitivity : this.sensitivity;
+        this.window = window !== undefined ? window : this.window;
+        this.minInterval = minInterval !== undefined ? minInterval : this.minInterval;
+        this.release = release !== undefined ? release : this.release;
+        this.onKick = onKick || this.onKick;
+        this.offKick = offKick || this.offKick;
+        this._state = this.createState();
+    }
+
+    // settings the detection depends on, the offline analysis caches a timeline per key
+
+    get key() {
+
+        return JSON.stringify([this.mode, this.frequency, this.threshold, this.decay, this.sensitivity, this.window, this.minInterval, this.release]);
+    }
+
+    // detection state, kept apart so the offline analysis can run the detection from the start of the track
+
+    createState() {
+
+        return {
+            currentThreshold: this.threshold,
+            previous: null,
+            history: [],
+            lastKickTime: -Infinity,
+            lastKickValue: 0
+        };
+    }
+
+    /**
+       * Run the detection on one spectrum, returns { magnitude, threshold, isKick }
+       * state    : detection state, see createState
+       * spectrum : byte spectrum
+       * time     : time of the spectrum in seconds, for the adaptive mode
+       */
+
+    detect(state, spectrum, time) {
+
+        if (this.mode === 'adaptive') return this._detectAdaptive(state, spectrum, time);
+
+        let magnitude = this.maxAmplitude(spectrum, this.frequency);
+        let isKick = magnitude >= state.currentThreshold && magnitude >= this.threshold;
+        if (isKick) state.currentThreshold = magnitude;
+        else state.currentThreshold -= this.decay;
+        return { magnitude: magnitude, threshold: state.currentThreshold, isKick: isKick };
+    }
+
+    /**
+       * Spectral flux onsets : the rise of the frequency range since the previous spectrum must be above the median of the last `window` seconds times `sensitivity` plus `threshold`,
+       * above the last kick strength released over `release` seconds, and at least `minInterval` seconds after the last kick.
+       */
+
+    _detectAdaptive(state, spectrum, time) {
+
+        let [from, to] = this.frequency.length ? this.frequency : [this.frequency, this.frequency];
+        let flux = 0;
+        if (state.previous) {
+            for (let i = from; i <= to; i++) {
+                flux += Math.max(0, spectrum[i] - state.previous[i]);
+            }
+            flux /= to - from + 1;
+        }
+        state.previous = spectrum.slice(0);
+
+        // time may go backwards after a seek
+        state.history = state.history.filter((item) => item.time > time - this.window && item.time <= time);
+        let sorted = state.history.map((item) => item.flux).sort((a, b) => a - b);
+        let median = sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+        state.history.push({ time: time, flux: flux });
+        if (time < state.lastKickTime) state.lastKickTime = -Infinity;
+
+        let held = state.lastKickValue * Math.exp(-(time - state.lastKickTime) / this.release);
+        let limit = Math.max(median * this.sensitivity + this.threshold, held);
+        let isKick = flux >= limit && time - state.lastKickTime >= this.minInterval;
+        if (isKick) {
+            state.lastKickTime = time;
+            state.lastKickValue = flux;
+        }
+        return { magnitude: flux, threshold: limit, isKick: isKick };
+    }
+
+    calc(spectrum, time) {
+
+        if (!this.isOn) {
+            this.isKick = false;
+            return;
+        }
+        let result = this.detect(this._state, spectrum, time);
+        this.magnitude = result.magnitude;
+        this.currentThreshold = result.threshold;
+        this.isKick = result.isKick;
+        if (result.isKick) {
+            this.onKick && this.onKick(result.magnitude);
+        } else {
+            this.offKick && this.offKick(result.magnitude);
+        }
+    }
+
+    /**
+       * Fire the kicks precomputed by the offline analysis for every frame after `from` up to `to`, so results don't depend on the frame rate.
+       * analysis : the Analysis of the playing track
+       * from     : last replayed frame (-1 after play, seek or pause)
+       * to       : frame of the current time
+       */
+
+    replay(analysis, from, to) {
+
+        if (!this.isOn) {
+            this.isKick = false;
+            return;
+        }
+        let timeline = analysis.kickTimeline(this);
+        if (from < 0 || from >= to) from = to - 1;
+        let hit = false;
+        this.magnitude = timeline.magnitudes[to];
+        for (let f = from + 1; f <= to; f++) {
+            if (timeline.kicks[f]) {
+                this.magnitude = timeline.magnitudes[f];
+                this.onKick && this.onKick(this.magnitude);
+                hit = true;
+            }
+        }
+        if (!hit) this.offKick && this.offKick(timeline.magnitudes[to]);
+        this.currentThreshold = timeline.thresholds[to];
+        this.isKick = hit;
+    }
+
+    maxAmplitude(fft, frequency) {
+
+        let max = 0;
+
+        // Sloppy array check
+        if (!frequency.length) {
+            return frequency < fft.length ? fft[~~frequency] : null;
+        }
+
+        for (var i = frequency[0], l = frequency[1]; i <= l; i++) {
+            if (fft[i] > max) { max = fft[i]; }
+        }
+
+        return max;
+    }
+};
+
+class Beat {
+
+    constructor({ name, factor, subdivision, signature, stem, onBeat, onSchedule }) {
+
+        this.name = name;
+        this.stem = stem;
+        this.factor = factor !== undefined ? factor : 1;
+        this.subdivision = subdivision !== undefined ? subdivision : 1;
+        this.signature = signature !== undefined ? signature : [4, 4];
+        this.onBeat = onBeat;
+        this.onSchedule = onSchedule;
+        this.isOn = false;
+        this._next = 0;
+        this._queue = [];
+    }
+
+    on() {
+
+        this.isOn = true;
+    }
+
+    off() {
+
+        this.isOn = false;
+    }
+
+    set({ factor, subdivision, signature, stem, onBeat, onSchedule }) {
+
+        this.stem = stem !== undefined ? stem : this.stem;
+        this.factor = factor !== undefined ? factor : this.factor;
+        this.subdivision = subdivision !== undefined ? subdivision : this.subdivision;
+        this.signature = signature !== undefined ? signature : this.signature;
+        this.onBeat = onBeat || this.onBeat;
+        this.onSchedule = onSchedule || this.onSchedule;
+    }
+
+    // duration of the signature unit (a quarter note lasts one beatDuration, an eighth half of it)
+
+    unit(beatDuration) {
+
+        return beatDuration * 4 / this.signature[1];
+    }
+
+    interval(beatDuration) {
+
+        return this.unit(beatDuration) * this.factor / this.subdivision;
+    }
+
+    // bar / beat / tick of a tick index, all starting at 0
+
+    position(index, beatDuration) {
+
+        let units = index * this.interval(beatDuration) / this.unit(beatDuration) + 1e-6;
+        let beatsPerBar = this.signature[0];
+        return {
+            index: index,
+            bar: Math.floor(units / beatsPerBar),
+            beat: Math.floor(units % beatsPerBar),
+            tick: Math.floor((units % 1) * this.subdivision)
+        };
+    }
+
+    // restart from the first tick at or after time (relative to the offset time), after play, pause or seek
+
+    resync(time, beatDuration) {
+
+        this._next = Math.max(0, Math.ceil(time / this.interval(beatDuration) - 1e-6));
+        this._queue = [];
+    }
+
+    /**
+       * Queue every tick up to `until` (relative to the offset time).
+       * until         : end of the look-ahead window
+       * beatDuration  : duration of one beat
+       * toContextTime : converts a time relative to the offset into an AudioContext time
+       * audible       : false while the stem of the beat is not heard, ticks are queued without onSchedule
+       */
+
+    schedule(until, beatDuration, toContextTime, audible = true) {
+
+        let interval = this.interval(beatDuration);
+        while (this._next * interval <= until) {
+            let info = this.position(this._next, beatDuration);
+            info.beatTime = this._next * interval;
+            info.time = toContextTime(info.beatTime);
+            this._queue.push(info);
+            if (this.isOn && audible) this.onSchedule && this.onSchedule(info);
+            this._next++;
+        }
+    }
+
+    // fire the queued ticks reached by time, dropping the ones later than tolerance instead of firing them in a burst, or all of them when not audible. Returns the fired ticks
+
+    dispatch(time, tolerance, audible = true) {
+
+        let fired = [];
+        while (this._queue.length && this._queue[0].beatTime <= time) {
+            let info = this._queue.shift();
+            if (this.isOn && audible && time - info.beatTime <= tolerance) {
+                this.onBeat && this.onBeat(info);
+                fired.push(info);
+            }
+        }
+        return fired;
+    }
+}
+
+class Modulator {
+
+    constructor() {
+
+        this.value = 0;
+    }
+
+    // value mapped from 0 - 1 to min - max
+
+    map(min, max) {
+
+        return min + this.value * (max - min);
+    }
+}
+
+class Follower extends Modulator {
+
+    /**
+       * Follows a signal with separate rise and fall times.
+       * source  : function returning the signal, band name or [startHz, endHz] (averaged spectrum)
+       * min     : signal mapped to 0
+       * max     : signal mapped to 1
+       * attack  : seconds to rise by 63% of a step
+       * release : seconds to fall by 63% of a step
+       */
+    constructor({ source, min, max, attack, release }) {
+
+        super();
+
+        this.source = source;
+        this.min = min !== undefined ? min : 0;
+        this.max = max !== undefined ? max : typeof source === 'function' ? 1 : 255;
+        this.attack = attack !== undefined ? attack : 0.01;
+        this.release = release !== undefined ? release : 0.3;
+    }
+
+    update(dt, sound) {
+
+        let raw = typeof this.source === 'function' ? this.source() : sound.getBand(this.source);
+        let target = Math.max(0, Math.min(1, (raw - this.min) / (this.max - this.min)));
+        let time = target > this.value ? this.attack : this.release;
+        this.value += (target - this.value) * (time > 0 ? 1 - Math.exp(-dt / time) : 1);
+    }
+}
+
+class LFO extends Modulator {
+
+    /**
+       * Oscillates in sync with the beat grid.
+       * shape : 'sine', 'triangle', 'saw', 'square' or 'random' (new value every cycle)
+       * beats : cycle length in beats
+       * phase : phase offset (0 - 1)
+       */
+    constructor({ shape, beats, phase }) {
+
+        super();
+
+        this.shape = shape !== undefined ? shape : 'sine';
+        this.beats = beats !== undefined ? beats : 1;
+        this.phase = phase !== undefined ? phase : 0;
+        this._cycle = -1;
+        this._random = 0;
+    }
+
+    update(dt, sound) {
+
+        if (!sound.beatDuration) return;
+
+        let position = (sound.time - sound.barTime(0)) / (sound.beatDuration * this.beats) + this.phase;
+        let cycle = Math.floor(position);
+        let t = position - cycle;
+        switch (this.shape) {
+            case 'triangle':
+                this.value = 1 - Math.abs(t * 2 - 1);
+                break;
+            case 'saw':
+                this.value = t;
+                break;
+            case 'square':
+                this.value = t < 0.5 ? 1 : 0;
+                break;
+            case 'random':
+                if (cycle !== this._cycle) this._random = Math.random();
+                this.value = this._random;
+                break;
+            default:
+                this.value = 0.5 - 0.5 * Math.cos(t * 2 * Math.PI);
+        }
+        this._cycle = cycle;
+    }
+}
+
+class Envelope extends Modulator {
+
+    /**
+       * One-shot ADSR, restarted from its current value by trigger().
+       * attack  : seconds to rise to 1
+       * decay   : seconds to fall to sustain
+       * sustain : level held after the decay (0 - 1)
+       * hold    : seconds the sustain is held
+       * release : seconds to fall from sustain to 0
+       */
+    constructor({ attack, decay, sustain, hold, release }) {
+
+        super();
+
+        this.attack = attack !== undefined ? attack : 0.01;
+        this.decay = decay !== undefined ? decay : 0.2;
+        this.sustain = sustain !== undefined ? sustain : 0;
+        this.hold = hold !== undefined ? hold : 0;
+        this.release = release !== undefined ? release : 0;
+        this._elapsed = Infinity;
+        this._from = 0;
+    }
+
+    trigger() {
+
+        this._from = this.value;
+        this._elapsed = 0;
+    }
+
+    update(dt) {
+
+        this._elapsed += dt;
+        let t = this._elapsed;
+
+        if (t < this.attack) {
+            this.value = this._from + (1 - this._from) * t / this.attack;
+            return;
+        }
+        t -= this.attack;
+        if (t < this.decay) {
+            this.value = 1 - (1 - this.sustain) * t / this.decay;
+            return;
+        }
+        t -= this.decay;
+        if (t < this.hold) {
+            this.value = this.sustain;
+            return;
+        }
+        t -= this.hold;
+        this.value = t < this.release ? this.sustain * (1 - t / this.release) : 0;
+    }
+}
+
+class Midi extends Emitter {
+
+    /**
+       * Events : noteon / noteoff ({ channel, note, velocity, time }), cc ({ channel, controller, value, time })
+       * MIDI input from Web MIDI devices (see connect) and from Standard MIDI Files played along the track (see load),
+       * turned into triggers and controls updated with the modulators of the sound.
+       * sound : Sound the files follow
+       */
+    constructor(sound) {
+
+        super();
+
+        this.sound = sound;
+        this.file = null;
+        this.offset = 0;
+        this.inputs = [];
+        this.frame = [];
+        this._access = null;
+        this._queue = [];
+        this._held = {};
+        this._next = 0;
+        this._lastTime = 0;
+
+        this._onMessage = this.onMessage.bind(this);
+        this._onInputs = this.onInputs.bind(this);
+        sound.on('seek', (time) => this._rewind(time));
+        sound.on('stop', () => this._rewind(0));
+        sound.addModulator(this);
+    }
+
+    /**
+       * Listen to every MIDI input, plugged now or later.
+       * callback : ready callback
+       * onError  : called with the error when Web MIDI is not supported or the access is denied
+       */
+
+    connect(callback, onError) {
+
+        let fail = (e) => onError ? onError(e) : console.log(e);
+        if (!navigator.requestMIDIAccess) {
+            fail(new Error('Web MIDI is not supported in this browser'));
+            return;
+        }
+
+        navigator.requestMIDIAccess().then((access) => {
+            this._access = access;
+            this._access.addEventListener('statechange', this._onInputs, false);
+            this.onInputs();
+            if (callback) callback();
+        }, fail);
+    }
+
+    disconnect() {
+
+        if (!this._access) return;
+        this._access.removeEventListener('statechange', this._onInputs, false);
+        this.inputs.forEach((input) => input.removeEventListener('midimessage', this._onMessage, false));
+        this.inputs = [];
+        this._access = null;
+    }
+
+    onInputs() {
+
+        this.inputs.forEach((input) => input.removeEventListener('midimessage', this._onMessage, false));
+        this.inputs = Array.from(this._access.inputs.values());
+        this.inputs.forEach((input) => input.addEventListener('midimessage', this._onMessage, false));
+    }
+
+    // live messages wait for the next frame, they are dropped while paused like the kicks
+
+    onMessage(e) {
+
+        if (!this.sound.isPlaying) return;
+        let event = Midi.message(e.data);
+        if (event) this._queue.push(event);
+    }
+
+    /**
+       * Load a Standard MIDI File, its events fire when the sound plays over them.
+       * src      : path to a .mid file, or File / Blob
+       * offset   : time of the track (in seconds) the start of the file is aligned to
+       * callback : called with the parsed file
+       * onError  : called with the error when the file can't be loaded or parsed, the previous file is then kept
+       */
+
+    load(src, { offset = 0 } = {}, callback, onError) {
+
+        let fail = (e) => onError ? onError(e) : console.log(e);
+        let parse = (data) => {
+            let file;
+            try {
+                file = Midi.parse(data);
+            }
+            catch (e) {
+                fail(e);
+                return;
+            }
+            this.setFile(file, offset);
+            if (callback) callback(this.file);
+        };
+
+        // local file
+        if (src instanceof Blob) {
+            let reader = new FileReader();
+            reader.onload = () => {
+                parse(reader.result);
+            };
+            reader.onerror = () => fail(new Error('Reading the MIDI file ' + src.name + ' failed'));
+            reader.readAsArrayBuffer(src);
+            return;
+        }
+
+        let request = new XMLHttpRequest();
+        request.open("GET", src, true);
+        request.responseType = "arraybuffer";
+        request.onload = () => {
+            if (request.status >= 400) fail(new Error('Loading the MIDI file ' + src + ' failed with status ' + request.status));
+            else parse(request.response);
+        };
+        request.onerror = () => fail(new Error('Loading the MIDI file ' + src + ' failed'));
+        request.send();
+    }
+
+    // file given by Midi.parse, null to remove it
+
+    setFile(file, offset = 0) {
+
+        this.file = file;
+        this.offset = offset;
+        this._rewind(this.sound.time);
+    }
+
+    // the time jumped : release the held notes, skip the file to it and send the controller values it had reached
+
+    _rewind(time) {
+
+        for (let key in this._held) {
+            this._queue.push(Object.assign({}, this._held[key], { type: 'noteoff', velocity: 0 }));
+        }
+        this._held = {};
+        this._lastTime = time;
+        this._next = 0;
+        if (!this.file) return;
+
+        let events = this.file.events;
+        let controls = {};
+        while (this._next < events.length && events[this._next].time + this.offset < time) {
+            let event = events[this._next++];
+            if (event.type === 'cc') controls[event.channel + ':' + event.controller] = event;
+        }
+        for (let key in controls) {
+            this._queue.push(Object.assign({}, controls[key]));
+        }
+    }
+
+    // collect the events of this frame, before the triggers and controls read them
+
+    update(dt, sound) {
+
+        let time = sound.time;
+        if (time < this._lastTime) this._rewind(time);
+
+        this.frame = this._queue.map((event) => Object.assign(event, { time: time }));
+        this._queue = [];
+        if (this.file) {
+            let events = this.file.events;
+            while (this._next < events.length && events[this._next].time + this.offset <= time) {
+                let event = events[this._next++];
+                this.frame.push(Object.assign({}, event, { time: event.time + this.offset }));
+            }
+        }
+        this._lastTime = time;
+
+        this.frame.forEach((event) => {
+            let key = event.channel + ':' + event.note;
+            if (event.type === 'noteon') this._held[key] = event;
+            else if (event.type === 'noteoff') delete this._held[key];
+            this.emit(event.type, event);
+        });
+    }
+
+    /**
+       * Kick-like trigger fired by notes, see MidiTrigger
+       */
+
+    createTrigger({ name, note, channel, velocity, onKick, offKick } = {}) {
+
+        let trigger = new MidiTrigger(this, { name, note, channel, velocity, onKick, offKick });
+        this.sound.addModulator(trigger);
+        return trigger;
+    }
+
+    /**
+       * Continuous value of a controller, see MidiControl
+       */
+
+    createControl({ controller, channel, smoothing } = {}) {
+
+        let control = new MidiControl(this, { controller, channel, smoothing });
+        this.sound.addModulator(control);
+        return control;
+    }
+
+    // note on / off and control change of a message, null for the other messages
+
+    static message(data) {
+
+        let type = data[0] & 0xf0;
+        let channel = data[0] & 0x0f;
+        if (type === 0x90 && data[2] > 0) return { type: 'noteon', channel: channel, note: data[1], velocity: data[2] };
+        if (type === 0x80 || type === 0x90) return { type: 'noteoff', channel: channel, note: data[1], velocity: data[2] };
+        if (type === 0xb0) return { type: 'cc', channel: channel, controller: data[1], value: data[2] };
+        return null;
+    }
+
+    /**
+       * Parse a Standard MIDI File (format 0 or 1), every track merged.
+       * Returns { format, division, tempos: [{ time, bpm }], events: [{ type, time, channel, note, velocity | controller, value }] }, times in seconds following the tempo changes.
+       * data : ArrayBuffer of the file
+       */
+
+    static parse(data) {
+
+        let bytes = new Uint8Array(data);
+        let view = new DataView(data);
+        let pos = 0;
+        let chunk = () => {
+            let id = String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]);
+            let end = pos + 8 + view.getUint32(pos + 4);
+            pos += 8;
+            return { id: id, end: end };
+        };
+        let variable = () => {
+            let value = 0;
+            let byte;
+            do {
+                byte = bytes[pos++];
+                value = value * 128 + (byte & 0x7f);
+            } while (byte & 0x80);
+            return value;
+        };
+
+        let header = chunk();
+        if (header.id !== 'MThd') throw new Error('Not a Standard MIDI File');
+        let format = view.getUint16(pos);
+        let trackCount = view.getUint16(pos + 2);
+        let division = view.getUint16(pos + 4);
+        pos = header.end;
+
+        let events = [];
+        let tempos = [];
+        while (trackCount > 0 && pos < bytes.length) {
+            let track = chunk();
+            if (track.id !== 'MTrk') {
+                pos = track.end;
+                continue;
+            }
+            trackCount--;
+            let tick = 0;
+            let status = 0;
+            while (pos < track.end) {
+                tick += variable();
+                // running status : the status byte is left out when it repeats
+                if (bytes[pos] & 0x80) status = bytes[pos++];
+                if (status === 0xff) {
+                    let type = bytes[pos++];
+                    let length = variable();
+                    if (type === 0x51) tempos.push({ tick: tick, tempo: bytes[pos] * 65536 + bytes[pos + 1] * 256 + bytes[pos + 2] });
+                    pos += length;
+                    status = 0;
+                } else if (status === 0xf0 || status === 0xf7) {
+                    let length = variable();
+                    pos += length;
+                    status = 0;
+                } else if (status) {
+                    let size = (status & 0xe0) === 0xc0 ? 1 : 2;
+                    let event = Midi.message([status, bytes[pos], bytes[pos + 1]]);
+                    if (event) events.push(Object.assign(event, { tick: tick }));
+                    pos += size;
+                } else {
+                    throw new Error('Malformed MIDI track');
+                }
+            }
+            pos = track.end;
+        }
+
+        // ticks to seconds, in SMPTE frames or in beats following the tempo map (120 bpm until the first tempo)
+        tempos.sort((a, b) => a.tick - b.tick);
+        let toSeconds = (tick) => tick / ((256 - (division >> 8)) * (division & 0xff));
+        if (!(division & 0x8000)) {
+            toSeconds = (tick) => {
+                let time = 0;
+                let from = 0;
+                let tempo = 500000;
+                for (let i = 0; i < tempos.length && tempos[i].tick < tick; i++) {
+                    time += (tempos[i].tick - from) * tempo / division / 1e6;
+                    from = tempos[i].tick;
+                    tempo = tempos[i].tempo;
+                }
+                return time + (tick - from) * tempo / division / 1e6;
+            };
+        }
+
+        events.sort((a, b) => a.tick - b.tick);
+        events.forEach((event) => event.time = toSeconds(event.tick));
+        return {
+            format: format,
+            division: division,
+            tempos: tempos.map((item) => ({ time: toSeconds(item.tick), bpm: 60e6 / item.tempo })),
+            events: events
+        };
+    }
+}
+
+class MidiTrigger extends Modulator {
+
+    /**
+       * Fired by notes like a Kick by the spectrum, with the same onKick / offKick callbacks and a kick event on the sound (id -1) so envelopes follow it.
+       * Its value is the velocity of the held notes (0 - 1).
+       * name     : name of the kick events
+       * note     : note number, or [lowest, highest], any note when omitted
+       * channel  : channel (0 - 15), any channel when omitted
+       * velocity : minimum velocity (0 - 127)
+       * onKick   : called with the velocity (0 - 1) on the frames a note starts
+       * offKick  : called with the last velocity on the other frames
+       */
+    constructor(midi, { name, note, channel, velocity, onKick, offKick }) {
+
+        super();
+
+        this.midi = midi;
+        this.name = name;
+        this.note = note;
+        this.channel = channel;
+        this.velocity = velocity !== undefined ? velocity : 0;
+        this.onKick = onKick;
+        this.offKick = offKick;
+        this.isOn = true;
+        this.isKick = false;
+        this.magnitude = 0;
+        this._held = {};
+    }
+
+    on() {
+
+        this.isOn = true;
+    }
+
+    off() {
+
+        this.isOn = false;
+    }
+
+    matches(event) {
+
+        if (this.channel !== undefined && event.channel !== this.channel) return false;
+        if (this.note === undefined) return true;
+        return this.note.length ? event.note >= this.note[0] && event.note <= this.note[1] : event.note === this.note;
+    }
+
+    update(dt, sound) {
+
+        let hit = 0;
+        this.midi.frame.forEach((event) => {
+            if ((event.type !== 'noteon' && event.type !== 'noteoff') || !this.matches(event)) return;
+            let key = event.channel + ':' + event.note;
+            if (event.type === 'noteoff') {
+                delete this._held[key];
+            } else if (event.velocity >= this.velocity) {
+                this._held[key] = event.velocity / 127;
+                hit = Math.max(hit, event.velocity / 127);
+            }
+        });
+        this.value = Object.keys(this._held).reduce((max, key) => Math.max(max, this._held[key]), 0);
+
+        this.isKick = this.isOn && hit > 0;
+        if (!this.isOn) return;
+        if (this.isKick) {
+            this.magnitude = hit;
+            this.onKick && this.onKick(hit);
+            sound.emit('kick', { id: -1, name: this.name, magnitude: hit });
+        } else {
+            this.offKick && this.offKick(this.magnitude);
+        }
+    }
+}
+
+class MidiControl extends Modulator {
+
+    /**
+       * Value of a controller (0 - 1), like the mod wheel or the knobs of a controller.
+       * controller : controller number (1 for the mod wheel)
+       * channel    : channel (0 - 15), any channel when omitted
+       * smoothing  : seconds to move by 63% of a change, 0 to jump
+       */
+    constructor(midi, { controller, channel, smoothing }) {
+
+        super();
+
+        this.midi = midi;
+        this.controller = controller !== undefined ? controller : 1;
+        this.channel = channel;
+        this.smoothing = smoothing !== undefined ? smoothing : 0.05;
+        this.target = 0;
+    }
+
+    update(dt) {
+
+        this.midi.frame.forEach((event) => {
+            if (event.type !== 'cc' || event.controller !== this.controller) return;
+            if (this.channel !== undefined && event.channel !== this.channel) return;
+            this.target = event.value / 127;
+        });
+        this.value += (this.target - this.value) * (this.smoothing > 0 ? 1 - Math.exp(-dt / this.smoothing) : 1);
+    }
+}
+
+class Effect {
+
+    /**
+       * Audio effect inserted by Sound.addEffect, between the sources and the output.
+       * analyser : 'post' when the analyser hears the effect, 'pre' when the effect comes after the analyser.
+       *            The offline Analysis is computed from the dry track, so kicks replayed from it (offline sounds, renders) don't hear 'post' effects
+       *            and may differ from the live detection. Use 'pre' for effects that change the spectrum a lot.
+       * mix      : share of the effected audio (0 - 1), the rest is the dry audio
+       * enabled  : false to bypass the effect
+       */
+    constructor(options = {}) {
+
+        let { analyser = 'post', mix = 1, enabled = true } = options;
+        if (analyser !== 'post' && analyser !== 'pre') throw new Error('Effect analyser must be "pre" or "post"');
+        this.options = options;
+        this.analyser = analyser;
+        this.name = null;
+        this.sound = null;
+        this.params = {};
+        this.base = {};
+        this._mix = mix;
+        this._enabled = enabled;
+    }
+
+    // create the nodes, input -> dry -> output and input -> nodes -> wet -> output
+
+    init(sound) {
+
+        let ctx = sound.ctx;
+        this.sound = sound;
+        this.input = ctx.createGain();
+        this.output = ctx.createGain();
+        this.dry = ctx.createGain();
+        this.wet = ctx.createGain();
+        this.input.connect(this.dry);
+        this.dry.connect(this.output);
+        this.wet.connect(this.output);
+        this.params.mix = (value, ramp) => {
+            this._mix = value;
+            this._updateMix(ramp);
+        };
+        this.params.enabled = (value) => {
+            this._enabled = !!value;
+            this._updateMix(0);
+        };
+        this.build(ctx);
+        this._updateMix(0);
+    }
+
+    // connect this.input to the effect nodes and them to this.wet
+
+    build(ctx) {}
+
+    // once per frame while playing
+
+    update() {}
+
+    get enabled() {
+
+        return this._enabled;
+    }
+
+    set enabled(value) {
+
+        this.params.enabled(value);
+    }
+
+    get mix() {
+
+        return this._mix;
+    }
+
+    set mix(value) {
+
+        this.params.mix(value);
+    }
+
+    // current value of a parameter, the function parameters are read from the property of the same name
+
+    get(name) {
+
+        let param = this.params[name];
+        if (param === undefined) throw new Error('Unknown parameter "' + name + '" of effect "' + this.name + '"');
+        return typeof param === 'function' ? this[name] : param.value;
+    }
+
+    /**
+       * Change parameters, now or with a ramp. AudioParams are automated, the other parameters change at once.
+       * values : { paramName: value }
+       * ramp   : ramp duration in seconds
+       * curve  : 'linear' or 'exponential', exponential suits frequencies
+       */
+
+    set(values, { ramp = 0, curve = 'linear' } = {}) {
+
+        let now = this.sound.ctx.currentTime;
+        for (let name in values) {
+            let param = this.params[name];
+            if (param === undefined) throw new Error('Unknown parameter "' + name + '" of effect "' + this.name + '"');
+            let value = values[name];
+            if (typeof param === 'function') {
+                param(value, ramp);
+                continue;
+            }
+            param.cancelScheduledValues(now);
+            param.setValueAtTime(param.value, now);
+            if (ramp > 0 && curve === 'exponential' && value > 0 && param.value > 0) param.exponentialRampToValueAtTime(value, now + ramp);
+            else if (ramp > 0) param.linearRampToValueAtTime(value, now + ramp);
+            else param.setValueAtTime(value, now);
+        }
+        return this;
+    }
+
+    _updateMix(ramp) {
+
+        let now = this.sound.ctx.currentTime;
+        let wet = this._enabled ? this._mix : 0;
+        [[this.wet.gain, wet], [this.dry.gain, 1 - wet]].forEach(([param, value]) => {
+            param.cancelScheduledValues(now);
+            param.setValueAtTime(param.value, now);
+            if (ramp > 0) param.linearRampToValueAtTime(value, now + ramp);
+            else param.setValueAtTime(value, now);
+        });
+    }
+
+    dispose() {
+
+        this.input.disconnect();
+        this.output.disconnect();
+    }
+}
+
+class FilterEffect extends Effect {
+
+    /**
+       * Biquad filter, sweep it with set({ frequency }, { ramp, curve: 'exponential' }).
+       * type      : BiquadFilterNode type, lowpass by default
+       * frequency : cutoff or center frequency in Hz
+       * Q         : resonance
+       * gain      : gain in dB of the shelf and peaking types
+       */
+
+    build(ctx) {
+
+        let { type = 'lowpass', frequency = 20000, Q = 1, gain = 0 } = this.options;
+        this.filter = ctx.createBiquadFilter();
+        this.filter.type = type;
+        this.filter.frequency.value = frequency;
+        this.filter.Q.value = Q;
+        this.filter.gain.value = gain;
+        this.input.connect(this.filter);
+        this.filter.connect(this.wet);
+
+        this.params.type = (value) => this.filter.type = value;
+        this.params.frequency = this.filter.frequency;
+        this.params.Q = this.filter.Q;
+        this.params.gain = this.filter.gain;
+    }
+
+    get type() {
+
+        return this.filter.type;
+    }
+}
+
+class EQEffect extends Effect {
+
+    /**
+       * 3-band equalizer, low shelf, peaking mid and high shelf.
+       * low, mid, high : gains in dB
+       * lowFrequency   : low shelf frequency in Hz
+       * midFrequency   : mid band center in Hz
+       * highFrequency  : high shelf frequency in Hz
+       */
+
+    build(ctx) {
+
+        let { low = 0, mid = 0, high = 0, lowFrequency = 250, midFrequency = 1000, highFrequency = 4000 } = this.options;
+        let band = (type, frequency, gain) => {
+            let filter = ctx.createBiquadFilter();
+            filter.type = type;
+            filter.frequency.value = frequency;
+            filter.gain.value = gain;
+            return filter;
+        };
+        this.low = band('lowshelf', lowFrequency, low);
+        this.mid = band('peaking', midFrequency, mid);
+        this.high = band('highshelf', highFrequency, high);
+        this.input.connect(this.low);
+        this.low.connect(this.mid);
+        this.mid.connect(this.high);
+        this.high.connect(this.wet);
+
+        this.params.low = this.low.gain;
+        this.params.mid = this.mid.gain;
+        this.params.high = this.high.gain;
+        this.params.lowFrequency = this.low.frequency;
+        this.params.midFrequency = this.mid.frequency;
+        this.params.highFrequency = this.high.frequency;
+    }
+}
+
+class CompressorEffect extends Effect {
+
+    /**
+       * Dynamics compressor, see DynamicsCompressorNode for threshold, knee, ratio, attack and release.
+       */
+
+    build(ctx) {
+
+        this.compressor = ctx.createDynamicsCompressor();
+        ['threshold', 'knee', 'ratio', 'attack', 'release'].forEach((name) => {
+            if (this.options[name] !== undefined) this.compressor[name].value = this.options[name];
+            this.params[name] = this.compressor[name];
+        });
+        this.input.connect(this.compressor);
+        this.compressor.connect(this.wet);
+    }
+}
+
+class ReverbEffect extends Effect {
+
+    /**
+       * Convolution reverb, from an impulse response file or a generated decaying noise.
+       * impulse  : path of an impulse response, generated when omitted
+       * duration : length of the generated impulse in seconds
+       * decay    : decay curve of the generated impulse, higher is shorter
+       * mix      : 0.3 by default
+       */
+    constructor(options = {}) {
+
+        super(Object.assign({ mix: 0.3 }, options));
+    }
+
+    build(ctx) {
+
+        this.convolver = ctx.createConvolver();
+        this.input.connect(this.convolver);
+        this.convolver.connect(this.wet);
+
+        if (this.options.impulse) this.load(this.options.impulse);
+        else this.convolver.buffer = ReverbEffect.generate(ctx, this.options.duration || 2.5, this.options.decay || 3);
+    }
+
+    load(path, callback) {
+
+        let request = new XMLHttpRequest();
+        request.open("GET", path, true);
+        request.responseType = "arraybuffer";
+        request.onload = () => {
+            this.sound.ctx.decodeAudioData(request.response, (buffer) => {
+                this.convolver.buffer = buffer;
+                if (callback) callback();
+            }, function (e) {
+                console.log(e);
+            });
+        };
+        request.send();
+    }
+
+    static generate(ctx, duration, decay) {
+
+        let length = Math.floor(ctx.sampleRate * duration);
+        let buffer = ctx.createBuffer(2, length, ctx.sampleRate);
+        for (let c = 0; c < 2; c++) {
+            let data = buffer.getChannelData(c);
+            for (let i = 0; i < length; i++) {
+                data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+            }
+        }
+        return buffer;
+    }
+}
+
+class DelayEffect extends Effect {
+
+    /**
+       * Feedback delay synced to the tempo, it follows beatDuration when the track changes.
+       * beats    : delay time in beats, 0.75 for a dotted eighth
+       * feedback : share of the echo fed back (0 - 1)
+       * mix      : 0.35 by default
+       */
+    constructor(options = {}) {
+
+        super(Object.assign({ mix: 0.35 }, options));
+        this.beats = options.beats !== undefined ? options.beats : 0.75;
+        this._beatDuration = 0;
+    }
+
+    build(ctx) {
+
+        this.delay = ctx.createDelay(10);
+        this.feedback = ctx.createGain();
+        this.feedback.gain.value = this.options.feedback !== undefined ? this.options.feedback : 0.4;
+        this.input.connect(this.delay);
+        this.delay.connect(this.feedback);
+        this.feedback.connect(this.delay);
+        this.delay.connect(this.wet);
+
+        this.params.beats = (value) => {
+            this.beats = value;
+            this._beatDuration = 0;
+            this.update();
+        };
+        this.params.feedback = this.feedback.gain;
+        this.update();
+    }
+
+    update() {
+
+        let beatDuration = this.sound.beatDuration;
+        if (!beatDuration || beatDuration === this._beatDuration) return;
+        this._beatDuration = beatDuration;
+        this.delay.delayTime.setTargetAtTime(Math.min(10, this.beats * beatDuration), this.sound.ctx.currentTime, 0.05);
+    }
+}
+
+class PannerEffect extends Effect {
+
+    /**
+       * Positional audio, the sound comes from a Three.js object and is heard from sound.listener.
+       * object        : Object3D followed every frame, see attach
+       * panningModel  : 'HRTF' or 'equalpower'
+       * distanceModel : 'linear', 'inverse' or 'exponential'
+       * refDistance   : distance under which the volume is not reduced, in scene units
+       * maxDistance   : distance past which the volume is not reduced any more
+       * rolloff       : how fast the volume drops past refDistance
+       * mix           : 1 by default, lower keeps part of the sound unpositioned
+       */
+    constructor(options = {}) {
+
+        super(options);
+        this.object = options.object || null;
+        this._position = new THREE.Vector3();
+    }
+
+    build(ctx) {
+
+        let { panningModel = 'HRTF', distanceModel = 'inverse', refDistance = 1, maxDistance = 10000, rolloff = 1 } = this.options;
+        this.panner = ctx.createPanner();
+        this.panner.panningModel = panningModel;
+        this.panner.distanceModel = distanceModel;
+        this.panner.refDistance = refDistance;
+        this.panner.maxDistance = maxDistance;
+        this.panner.rolloffFactor = rolloff;
+        this.input.connect(this.panner);
+        this.panner.connect(this.wet);
+
+        ['panningModel', 'distanceModel', 'refDistance', 'maxDistance'].forEach((name) => {
+            this.params[name] = (value) => this.panner[name] = value;
+        });
+        this.params.rolloff = (value) => this.panner.rolloffFactor = value;
+        this.update();
+    }
+
+    get panningModel() {
+
+        return this.panner.panningModel;
+    }
+
+    get distanceModel() {
+
+        return this.panner.distanceModel;
+    }
+
+    get refDistance() {
+
+        return this.panner.refDistance;
+    }
+
+    get maxDistance() {
+
+        return this.panner.maxDistance;
+    }
+
+    get rolloff() {
+
+        return this.panner.rolloffFactor;
+    }
+
+    // follow another object, null leaves the sound where it is
+
+    attach(object) {
+
+        this.object = object;
+        this.update();
+        return this;
+    }
+
+    update() {
+
+        if (!this.object) return;
+        let { x, y, z } = this.object.getWorldPosition(this._position);
+        if (this.panner.positionX) {
+            // glide to the new position, setting the values every frame makes zipper noise
+            let now = this.sound.ctx.currentTime;
+            this.panner.positionX.setTargetAtTime(x, now, 0.02);
+            this.panner.positionY.setTargetAtTime(y, now, 0.02);
+            this.panner.positionZ.setTargetAtTime(z, now, 0.02);
+        } else {
+            this.panner.setPosition(x, y, z);
+        }
+    }
+}
+
+class Section {
+
+    /**
+       * label     : name of the section
+       * start     : start time in seconds (or startBar)
+       * end       : end time in seconds (or endBar), open when omitted
+       * startBar  : start bar, counted from the offset time
+       * endBar    : end bar, counted from the offset time
+       * signature : [beats per bar, note value] used for bars, 4/4 by default
+       * once      : fire the callback a single time when start is passed
+       * kicks     : names of the kicks on in this section, the other named kicks being off
+       * beats     : names of the beats on in this section, the other named beats being off
+       * effects   : { effectName: { param: value, ramp, curve } } set when entering the section, see Effect.set
+       * callback  : called on every frame while in the section, or once
+       */
+    constructor(sound, { label, start, end, startBar, endBar, signature, once, kicks, beats, effects, callback }) {
+
+        this.sound = sound;
+        this.label = label;
+        this.start = start !== undefined ? start : -Infinity;
+        this.end = end !== undefined ? end : Infinity;
+        this.startBar = startBar;
+        this.endBar = endBar;
+        this.signature = signature !== undefined ? signature : [4, 4];
+        this.once = !!once;
+        this.kicks = kicks;
+        this.beats = beats;
+        this.effects = effects;
+        this.callback = callback;
+        this.called = false;
+        this.isActive = false;
+    }
+
+    get startTime() {
+
+        return this.startBar !== undefined ? this.sound.barTime(this.startBar, this.signature) : this.start;
+    }
+
+    get endTime() {
+
+        return this.endBar !== undefined ? this.sound.barTime(this.endBar, this.signature) : this.end;
+    }
+
+    condition() {
+
+        let time = this.sound.time;
+        if (this.once) return time > this.startTime && !this.called;
+        return time > this.startTime && time < this.endTime;
+    }
+
+    toJSON() {
+
+        let json = { label: this.label };
+        if (this.startBar !== undefined) json.startBar = this.startBar;
+        else if (this.start !== -Infinity) json.start = this.start;
+        if (this.endBar !== undefined) json.endBar = this.endBar;
+        else if (this.end !== Infinity) json.end = this.end;
+        if ((this.startBar !== undefined || this.endBar !== undefined) && this.signature.join('/') !== '4/4') json.signature = this.signature;
+        if (this.once) json.once = true;
+        if (this.kicks) json.kicks = this.kicks;
+        if (this.beats) json.beats = this.beats;
+        if (this.effects) json.effects = this.effects;
+        return json;
+    }
+}
+
+class Playlist extends Emitter {
+
+    /**
+       * Events : trackchange (track, index), error (track, index, error) when a track can't be loaded and is skipped or its cue sheet can't be loaded, ended
+       * sound     : Sound playing the tracks
+       * crossfade : crossfade duration between tracks (in seconds), gapless when 0
+       * loop      : go back to the first track after the last one
+       */
+    constructor(sound, { crossfade = 0, loop = false } = {}) {
+
+        super();
+
+        this.sound = sound;
+        this.crossfade = crossfade;
+        this.loop = loop;
+        this.tracks = [];
+        this._index = -1;
+        this._current = null;
+        this._pending = null;
+        // prepared tracks by track, so removing a track doesn't move them
+        this._prepared = new Map();
+
+        this._onEnded = this.onEnded.bind(this);
+        this._onCheck = this.onCheck.bind(this);
+        this.sound.on('ended', this._onEnded);
+        this._timer = setInterval(this._onCheck, 100);
+    }
+
+    /**
+       * Queue a track. Other properties (title, preset...) are kept for trackchange listeners.
+       * src        : path to mp3, or File / Blob, or stems { name: path or File / Blob }
+       * bpm        : beat per minute (detected from the track when omitted)
+       * offsetTime : first downbeat in seconds (detected when omitted)
+       * cueSheet   : cue sheet object or path, set on the Sound when the track starts
+       */
+
+    add(track) {
+
+        this.tracks.push(track);
+        if (this.tracks.length === 1) this._prepare(0);
+        return this;
+    }
+
+    // the current track keeps playing when removed, next goes on with the track that followed it
+
+    remove(index) {
+
+        let track = this.tracks[index];
+        if (!track) return this;
+        this.tracks.splice(index, 1);
+        this._prepared.delete(track);
+        if (this._pending === track) this._pending = null;
+        if (index <= this._index) this._index--;
+        return this;
+    }
+
+    // index of the current track, -1 once removed
+
+    get index() {
+
+        return this.tracks[this._index] === this._current ? this._index : -1;
+    }
+
+    get current() {
+
+        return this._current;
+    }
+
+    play(index = this.index > -1 ? this.index : Math.max(0, this._nextIndex())) {
+
+        this._go(index, this.sound.isPlaying ? this.crossfade : 0);
+    }
+
+    next() {
+
+        this._go(this._nextIndex(), this.crossfade);
+    }
+
+    previous() {
+
+        // _index is the track before a removed current track
+        let index = this.tracks[this._index] === this._current ? this._index - 1 : this._index;
+        if (index < 0 && this.loop) index = this.tracks.length - 1;
+        this._go(index, this.crossfade);
+    }
+
+    destroy() {
+
+        clearInterval(this._timer);
+        this.sound.off('ended', this._onEnded);
+    }
+
+    _nextIndex(from = this._index) {
+
+        let index = from + 1;
+        if (index >= this.tracks.length) return this.loop ? 0 : -1;
+        return index;
+    }
+
+    // load and analyse a track once, callback with the prepared track, or null and the error
+
+    _prepare(index, callback) {
+
+        let track = this.tracks[index];
+        if (!track) return;
+
+        let prepared = this._prepared.get(track);
+        if (!prepared) {
+            prepared = { track: null, error: null, callbacks: [] };
+            this._prepared.set(track, prepared);
+            let done = (result, error) => {
+                prepared.track = result;
+                prepared.error = error;
+                prepared.callbacks.forEach((item) => item(result, error));
+                prepared.callbacks = [];
+            };
+            this.sound.prepare(track.src, { bpm: track.bpm, offsetTime: track.offsetTime }, (result) => done(result, null), null, (e) => done(null, e));
+        }
+        if (!callback) return;
+        if (prepared.track || prepared.error) callback(prepared.track, prepared.error);
+        else prepared.callbacks.push(callback);
+    }
+
+    // skipped : tracks skipped in a row because they failed, so a playlist of broken tracks stops
+
+    _go(index, crossfade, when, skipped = 0) {
+
+        let track = this.tracks[index];
+        if (!track) return;
+
+        this._pending = track;
+        this._prepare(index, (prepared, error) => {
+            // a later next / previous, or removing the track, wins
+            if (this._pending !== track) return;
+            // tracks removed meanwhile moved it
+            index = this.tracks.indexOf(track);
+
+            if (error) {
+                this._pending = null;
+                // forget the failure so the track can be tried again later, and go on with the next one
+                this._prepared.delete(track);
+                this.emit('error', track, index, error);
+                let next = this._nextIndex(index);
+                if (next > -1 && next !== index && skipped + 1 < this.tracks.length) this._go(next, crossfade, when, skipped + 1);
+                return;
+            }
+
+            // still pending until the new track is heard, so onCheck doesn't switch again meanwhile
+            let wasPlaying = this.sound.isPlaying;
+            this.sound.setTrack(prepared, { crossfade: crossfade, when: when }, () => {
+                if (this._pending === track) this._pending = null;
+                let position = this.tracks.indexOf(track);
+                this.sound.loadCueSheet(track.cueSheet || { sections: [] }, (error) => {
+                    if (error) this.emit('error', track, position, error);
+                });
+                this._index = position;
+                this._current = track;
+                this.emit('trackchange', track, position);
+            });
+            if (!wasPlaying) this.sound.play(0);
+
+            // keep only the current and the next track decoded
+            let next = this.tracks[this._nextIndex(index)];
+            this._prepared.forEach((item, key) => {
+                if (key !== track && key !== next) this._prepared.delete(key);
+            });
+            if (next) this._prepare(this.tracks.indexOf(next));
+        });
+    }
+
+    // switch ahead of the end of the track, so the next one starts on time on the AudioContext clock
+
+    onCheck() {
+
+        let sound = this.sound;
+        let next = this._nextIndex();
+        if (!sound.isPlaying || sound.loop || !this._current || next < 0 || this._pending) return;
+
+        let remaining = (sound.duration - sound.time) / sound.playbackRate;
+        if (remaining > this.crossfade + 0.5) return;
+
+        let prepared = this._prepared.get(this.tracks[next]);
+        if (prepared && prepared.track) {
+            let crossfade = Math.min(this.crossfade, remaining);
+            this._go(next, crossfade, sound.ctx.currentTime + remaining - crossfade);
+        } else {
+            this._prepare(next);
+        }
+    }
+
+    // the track ended before the next one was ready
+
+    onEnded() {
+
+        let next = this._nextIndex();
+        if (next > -1) this._go(next, 0);
+        else this.emit('ended');
+    }
+}
+
+class Debug {
+
+    /**
+       * Live spectrum, waveform and kicks under a timeline of the track. Click the timeline to seek, drag the section
+       * edges to move them (snapped to beats, hold shift for free moves), scroll to zoom and export the edited cue sheet.
+       */
+    constructor(sound) {
+
+        this.sound = sound;
+        this.timelineHeight = 120;
+        this.liveHeight = 300;
+        this.zoom = 20;
+        this.snap = true;
+        this.maxLiveKicks = 2000;
+        this._peaks = null;
+        this._drag = null;
+        this._liveKicks = null;
+
+        this.element = document.createElement('div');
+        this.element.style.position = 'absolute';
+        this.element.style.bottom = 0;
+        this.element.style.left = 0;
+        this.element.style.zIndex = 3;
+        document.body.appendChild(this.element);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 512;
+        this.canvas.height = this.timelineHeight + this.liveHeight;
+        this.canvas.style.display = 'block';
+        this.element.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.exportButton = document.createElement('button');
+        this.exportButton.innerHTML = 'export cue sheet';
+        this.exportButton.style.position = 'absolute';
+        this.exportButton.style.top = '5px';
+        this.exportButton.style.right = '5px';
+        this.element.appendChild(this.exportButton);
+
+        this.canvas.addEventListener('mousedown', this.onMouseDown.bind(this), false);
+        this.canvas.addEventListener('wheel', this.onWheel.bind(this), false);
+        window.addEventListener('mousemove', this.onMouseMove.bind(this), false);
+        window.addEventListener('mouseup', this.onMouseUp.bind(this), false);
+        this.exportButton.addEventListener('click', this.exportCueSheet.bind(this), false);
+
+        // kicks are only known as they happen without an offline analysis
+        sound.on('kick', (kick) => {
+            if (sound.analysis) return;
+            let events = this.getLiveKicks();
+            events.push({ id: kick.id, time: sound.time });
+            if (events.length > this.maxLiveKicks) events.splice(0, events.length - this.maxLiveKicks);
+        });
+        sound.on('stop', () => this._liveKicks = null);
+        sound.on('seek', () => this.draw());
+
+        window.addEventListener('resize', this.resize.bind(this), false);
+        this.resize();
+    }
+
+    resize() {
+        this.canvas.width = window.innerWidth;
+    }
+
+    // time range shown by the timeline, following the playback
+
+    get view() {
+
+        let duration = this.sound.duration;
+        let length = Math.min(this.zoom, duration);
+        let start = Math.max(0, Math.min(duration - length, this.sound.time - length / 3));
+        return { start: start, duration: length };
+    }
+
+    timeToX(time, view = this.view) {
+
+        return (time - view.start) / view.duration * this.canvas.width;
+    }
+
+    xToTime(x, view = this.view) {
+
+        return view.start + x / this.canvas.width * view.duration;
+    }
+
+    // kicks heard on the current track, the most recent maxLiveKicks
+
+    getLiveKicks() {
+
+        let buffer = this.sound.buffer;
+        if (!this._liveKicks || this._liveKicks.buffer !== buffer) this._liveKicks = { buffer, events: [] };
+        return this._liveKicks.events;
+    }
+
+    // min and max of every 1 / 200 s of the track, all channels together
+
+    getPeaks() {
+
+        let buffer = this.sound.buffer;
+        if (!buffer) return null;
+        if (this._peaks && this._peaks.buffer === buffer) return this._peaks;
+
+        let rate = 200;
+        let count = Math.ceil(buffer.duration * rate);
+        let size = buffer.length / count;
+        let min = new Float32Array(count);
+        let max = new Float32Array(count);
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            let data = buffer.getChannelData(c);
+            for (let i = 0; i < count; i++) {
+                for (let j = Math.floor(i * size), end = Math.floor((i + 1) * size); j < end; j++) {
+                    if (data[j] < min[i]) min[i] = data[j];
+                    if (data[j] > max[i]) max[i] = data[j];
+                }
+            }
+        }
+        this._peaks = { buffer, rate, min, max };
+        return this._peaks;
+    }
+
+    // section edges close to x, edges shared by two sections move together
+
+    _edgesAt(x, view) {
+
+        let edges = [];
+        this.sound._sections.forEach((section) => {
+            if (Math.abs(this.timeToX(section.startTime, view) - x) < 5) edges.push({ section: section, edge: 'start' });
+            if (!section.once && Math.abs(this.timeToX(section.endTime, view) - x) < 5) edges.push({ section: section, edge: 'end' });
+        });
+        return edges;
+    }
+
+    // time an edge dragged to time lands at, edges set in bars move by whole bars
+
+    _edgeTime({ section, edge }, time) {
+
+        let sound = this.sound;
+        if ((edge === 'start' ? section.startBar : section.endBar) === undefined || !sound.beatDuration) return time;
+        return sound.barTime(this._edgeBar(section, time), section.signature);
+    }
+
+    _edgeBar(section, time) {
+
+        let sound = this.sound;
+        return sound.beatDuration ? Math.round((time - sound.barTime(0)) / (sound.barTime(1, section.signature) - sound.barTime(0))) : undefined;
+    }
+
+    _moveEdge({ section, edge }, time) {
+
+        let sound = this.sound;
+        let bar = this._edgeBar(section, time);
+        if (edge === 'start') {
+            if (section.startBar !== undefined && bar !== undefined) section.startBar = bar;
+            else section.start = time;
+            // a cue moved before the playhead shouldn't fire right away
+            if (section.once) section.called = section.startTime <= sound.time;
+        } else {
+            if (section.endBar !== undefined && bar !== undefined) section.endBar = bar;
+            else section.end = time;
+        }
+    }
+
+    onMouseDown(e) {
+
+        if (e.offsetY > this.timelineHeight || !this.sound.duration) return;
+        let view = this.view;
+        let edges = this._edgesAt(e.offsetX, view);
+        if (edges.length) {
+            this._drag = { edges: edges, view: view };
+        } else {
+            this.sound.seek(this.xToTime(e.offsetX, view));
+        }
+    }
+
+    onMouseMove(e) {
+
+        let rect = this.canvas.getBoundingClientRect();
+        let x = e.clientX - rect.left;
+        let y = e.clientY - rect.top;
+
+        if (!this._drag) {
+            let isOver = y >= 0 && y <= this.timelineHeight;
+            this.canvas.style.cursor = isOver && this._edgesAt(x, this.view).length ? 'ew-resize' : isOver ? 'pointer' : 'default';
+            return;
+        }
+
+        // the view is frozen while dragging so the edge stays under the mouse
+        let sound = this.sound;
+        let time = Math.max(0, Math.min(sound.duration, this.xToTime(x, this._drag.view)));
+        if (this.snap && !e.shiftKey && sound.beatDuration) {
+            time = sound.barTime(0) + Math.round((time - sound.barTime(0)) / sound.beatDuration) * sound.beatDuration;
+        }
+        let active = sound._sections.map((section) => section.condition());
+        this._drag.edges.forEach((edge) => {
+            // compared where the edge lands, so a section never ends up empty
+            let landing = this._edgeTime(edge, time);
+            let other = edge.edge === 'start' ? edge.section.endTime : edge.section.startTime;
+            if (edge.edge === 'start' ? landing < other : landing > other) this._moveEdge(edge, time);
+        });
+        if (sound._sections.some((section, i) => section.condition() !== active[i])) this._restoreState();
+        if (!sound.isPlaying) this.draw();
+    }
+
+    // an edge crossed the playhead : back to the effects and the kick / beat switches of the sections at the playhead, as after a seek
+
+    _restoreState() {
+
+        let sound = this.sound;
+        let time = sound.time;
+        sound._restoreEffects(time);
+        sound._sections
+            .filter((section) => !section.once && section.condition())
+            .sort((a, b) => a.startTime - b.startTime)
+            .forEach((section) => sound._applySection(section));
+    }
+
+    onMouseUp() {
+
+        this._drag = null;
+    }
+
+    onWheel(e) {
+
+        if (e.offsetY > this.timelineHeight) return;
+        e.preventDefault();
+        this.zoom = Math.max(2, Math.min(this.sound.duration || 2, this.zoom * (e.deltaY > 0 ? 1.2 : 1 / 1.2)));
+        if (!this.sound.isPlaying) this.draw();
+    }
+
+    exportCueSheet() {
+
+        let json = JSON.stringify(this.sound.getCueSheet(), null, 2);
+        let link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = 'cue-sheet.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    draw() {
+
+        // draw background
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.beginPath();
+        this.ctx.rect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fill();
+        this.ctx.strokeStyle = '#a1a1a1';
+        this.ctx.stroke();
+
+        if (this.sound.duration && isFinite(this.sound.duration)) this.drawTimeline();
+
+        this.ctx.save();
+        this.ctx.translate(0, this.timelineHeight);
+        this.drawLive();
+        this.ctx.restore();
+    }
+
+    drawTimeline() {
+
+        let ctx = this.ctx;
+        let sound = this.sound;
+        let view = this.view;
+        let width = this.canvas.width;
+        let height = this.timelineHeight;
+        let sections = sound._sections;
+        let kicks = sound._kicks;
+        let laneHeight = kicks.length ? Math.min(4, 30 / kicks.length) : 0;
+        let waveformHeight = height - laneHeight * kicks.length - 4;
+
+        // draw sections
+        ctx.font = "10px Arial";
+        ctx.textAlign = "left";
+        ctx.textBaseline = 'top';
+        sections.forEach((section, i) => {
+            if (section.once) return;
+            let x0 = Math.max(0, this.timeToX(section.startTime, view));
+            let x1 = Math.min(width, this.timeToX(section.endTime, view));
+            if (x1 <= 0 || x0 >= width) return;
+            ctx.fillStyle = 'hsla(' + (i * 67 % 360) + ', 70%, 50%, 0.25)';
+            ctx.fillRect(x0, 0, x1 - x0, height);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(section.label, x0 + 4, 4);
+        });
+
+        // draw beat grid, bars brighter
+        if (sound.beatDuration) {
+            let origin = sound.barTime(0);
+            for (let i = Math.ceil((view.start - origin) / sound.beatDuration); origin + i * sound.beatDuration < view.start + view.duration; i++) {
+                let x = Math.floor(this.timeToX(origin + i * sound.beatDuration, view));
+                ctx.fillStyle = i % 4 === 0 ? '#555555' : '#262626';
+                ctx.fillRect(x, 16, 1, waveformHeight - 16);
+            }
+        }
+
+        // draw waveform overview
+        let peaks = this.getPeaks();
+        if (peaks) {
+            let middle = waveformHeight / 2 + 8;
+            ctx.fillStyle = '#a1a1a1';
+            for (let x = 0; x < width; x++) {
+                let from = Math.floor(this.xToTime(x, view) * peaks.rate);
+                let to = Math.max(from + 1, Math.floor(this.xToTime(x + 1, view) * peaks.rate));
+                let min = 0;
+                let max = 0;
+                for (let i = from; i < to && i < peaks.max.length; i++) {
+                    if (peaks.min[i] < min) min = peaks.min[i];
+                    if (peaks.max[i] > max) max = peaks.max[i];
+                }
+                ctx.fillRect(x, middle - max * (middle - 16), 1, Math.max(1, (max - min) * (middle - 16)));
+            }
+        }
+
+        // draw detected kicks, one lane per kick
+        kicks.forEach((kick, i) => {
+            let y = height - (kicks.length - i) * laneHeight;
+            ctx.fillStyle = 'hsl(' + (i * 47 % 360) + ', 80%, 60%)';
+            let analysis = sound.kickAnalysis(kick);
+            if (analysis) {
+                let timeline = analysis.kickTimeline(kick);
+                let frameRate = analysis.frameRate;
+                timeline.events.forEach((event) => {
+                    let frame = Math.round(event.time * frameRate);
+                    if (timeline.kicks[frame - 1]) return;
+                    let x = this.timeToX(event.time, view);
+                    if (x >= 0 && x < width) ctx.fillRect(x, y, 2, laneHeight - 1);
+                });
+            } else {
+                this.getLiveKicks().forEach((event) => {
+                    if (event.id !== i) return;
+                    let x = this.timeToX(event.time, view);
+                    if (x >= 0 && x < width) ctx.fillRect(x, y, 2, laneHeight - 1);
+                });
+            }
+        });
+
+        // draw section edges and once cues
+        sections.forEach((section) => {
+            ctx.fillStyle = section.once ? '#ffcc00' : '#ffffff';
+            [section.startTime, section.once ? Infinity : section.endTime].forEach((time) => {
+                let x = this.timeToX(time, view);
+                if (x >= 0 && x < width) ctx.fillRect(Math.floor(x), 0, 1, waveformHeight);
+            });
+            if (section.once) ctx.fillText(section.label, this.timeToX(section.startTime, view) + 4, waveformHeight - 12);
+        });
+
+        // draw playhead
+        ctx.fillStyle = '#ff0000';
+        ctx.fillRect(Math.floor(this.timeToX(sound.time, view)), 0, 1, height);
+
+        ctx.fillStyle = '#a1a1a1';
+        ctx.fillRect(0, height - 1, width, 1);
+    }
+
+    drawLive() {
+
+        let borderHeight = 10;
+        let height = this.liveHeight;
+
+        // draw spectrum
+        this.ctx.beginPath();
+        let spectrum = this.sound.getSpectrum();
+        let spectrumValue = null;
+        let spectrumLength = spectrum.length;
+        let spectrumWidth = this.canvas.width / spectrumLength;
+        let spectrumHeight = height - borderHeight;
+        for (let i = 0; i < spectrumLength; i++) {
+
+            spectrumValue = spectrum[i] / 256;
+            this.ctx.rect(i * spectrumWidth, spectrumHeight - spectrumHeight * spectrumValue, spectrumWidth / 2, spectrumHeight * spectrumValue);
+        }
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fill();
+
+        // draw frequency
+        this.ctx.beginPath();
+        this.ctx.font = "10px Arial";
+        this.ctx.textBaseline = 'middle';
+        this.ctx.textAlign = "left";
+        for (let i = 0, len = spectrumLength; i < len; i++) {
+
+            if (i % 10 == 0) {
+                this.ctx.rect(i * spectrumWidth, spectrumHeight, spectrumWidth / 2, borderHeight);
+                this.ctx.fillText(i, i * spectrumWidth + 4, spectrumHeight + borderHeight * .5);
+            }
+        }
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fill();
+
+        // draw kick
+        let kicks = this.sound._kicks;
+        let kick = null;
+        let kickLength = kicks.length;
+        let kickFrequencyStart = null;
+        let kickFrequencyLength = null;
+        for (let i = 0, len = kickLength; i < len; i++) {
+
+            kick = kicks[i];
+            if (kick.isOn) {
+                kickFrequencyStart = (kick.frequency.length ? kick.frequency[0] : kick.frequency);
+                kickFrequencyLength = (kick.frequency.length ? kick.frequency[1] - kick.frequency[0] + 1 : 1);
+                this.ctx.beginPath();
+                this.ctx.rect(kickFrequencyStart * spectrumWidth, spectrumHeight - spectrumHeight * (kick.threshold / 256), kickFrequencyLength * spectrumWidth - (spectrumWidth * .5), 2);
+                this.ctx.rect(kickFrequencyStart * spectrumWidth, spectrumHeight - spectrumHeight * (kick.currentThreshold / 256), kickFrequencyLength * spectrumWidth - (spectrumWidth * .5), 5);
+                this.ctx.fillStyle = kick.isKick ? '#00ff00' : '#ff0000';
+                this.ctx.fill();
+            }
+        }
+
+        // draw waveform
+        this.ctx.beginPath();
+        let waveform = this.sound.getWaveform();
+        let waveformValue = null;
+        let waveformLength = waveform.length;
+        let waveformWidth = this.canvas.width / waveformLength;
+        let waveformHeight = height - borderHeight;
+        for (let i = 0; i < waveformLength; i++) {
+
+            waveformValue = waveform[i] / 256;
+            if (i == 0) this.ctx.moveTo(i * waveformWidth, waveformHeight * waveformValue);
+            else this.ctx.lineTo(i * waveformWidth, waveformHeight * waveformValue);
+        }
+        this.ctx.strokeStyle = '#0000ff';
+        this.ctx.stroke();
+
+        // draw time
+        this.ctx.beginPath();
+        this.ctx.textAlign = "right";
+        this.ctx.textBaseline = 'top';
+        this.ctx.font = "15px Arial";
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillText((Math.round(this.sound.time * 10) / 10) + ' / ' + (Math.round(this.sound.duration * 10) / 10), this.canvas.width - 5, 5);
+
+        // draw section
+        this.ctx.beginPath();
+        let sections = this.sound._sections;
+        let section = null;
+        let sectionLength = sections.length;
+        let sectionLabels = '';
+        for (let i = 0, len = sectionLength; i < len; i++) {
+
+            section = sections[i];
+            if (section.condition()) {
+                sectionLabels += section.label + ' - ';
+            }
+        }
+        if (sectionLabels.length > 0) sectionLabels = sectionLabels.substr(0, sectionLabels.length - 3);
+        this.ctx.fillText(sectionLabels, this.canvas.width - 5, 25);
+        this.ctx.fill();
+    }
+}
+
+class TweakPanel {
+
+    /**
+       * Sliders and switches for the named kicks and beats of a sound, saved in localStorage.
+       * Press toggleKey to show the panel, then 1 - 9 to switch the kicks on and off.
+       * storageKey : localStorage key of the saved settings
+       * toggleKey  : key showing and hiding the panel
+       */
+    constructor(sound, { storageKey = 'sound-tweaks', toggleKey = 'p' } = {}) {
+
+        this.sound = sound;
+        this.storageKey = storageKey;
+        this.toggleKey = toggleKey;
+        this.isVisible = false;
+        this._rows = { kicks: {}, beats: {} };
+        this._defaults = { kicks: {}, beats: {} };
+
+        this.element = document.createElement('div');
+        this.element.id = 'tweaks';
+        this.element.style.display = 'none';
+        document.body.appendChild(this.element);
+
+        this._onKeyDown = this.onKeyDown.bind(this);
+        window.addEventListener('keydown', this._onKeyDown, false);
+
+        // sections switch the kicks and beats, the switches follow
+        this._onSectionEnter = () => this.updateSwitches();
+        this._onKick = (kick) => this._hit(this._rows.kicks[kick.name]);
+        this._onBeat = (beat) => this._hit(this._rows.beats[beat.name]);
+        sound.on('sectionenter', this._onSectionEnter);
+        sound.on('kick', this._onKick);
+        sound.on('beat', this._onBeat);
+    }
+
+    // named kicks and beats, the unnamed ones can't be saved
+
+    get kicks() {
+
+        return this.sound._kicks.filter((kick) => kick.name !== undefined);
+    }
+
+    get beats() {
+
+        return this.sound._beats.filter((beat) => beat.name !== undefined);
+    }
+
+    kickSettings(kick) {
+
+        // kicks set by band keep following the analyser settings
+        let settings = kick.band !== undefined ? { band: kick.band } : { frequency: kick.frequency.slice ? kick.frequency.slice() : kick.frequency };
+        settings.threshold = kick.threshold;
+        if (kick.mode === 'adaptive') {
+            settings.sensitivity = kick.sensitivity;
+            settings.release = kick.release;
+        } else {
+            settings.decay = kick.decay;
+        }
+        return settings;
+    }
+
+    beatSettings(beat) {
+
+        return { factor: beat.factor, subdivision: beat.subdivision };
+    }
+
+    // { kicks: { name: settings }, beats: { name: settings } }
+
+    getSettings() {
+
+        let settings = { kicks: {}, beats: {} };
+        this.kicks.forEach((kick) => settings.kicks[kick.name] = this.kickSettings(kick));
+        this.beats.forEach((beat) => settings.beats[beat.name] = this.beatSettings(beat));
+        return settings;
+    }
+
+    setSettings(settings) {
+
+        for (let name in settings.kicks || {}) {
+            let kick = this.sound.getKick(name);
+            if (kick) kick.set(settings.kicks[name]);
+        }
+        for (let name in settings.beats || {}) {
+            let beat = this.sound.getBeat(name);
+            if (beat) beat.set(settings.beats[name]);
+        }
+        this.sound._resyncBeats();
+    }
+
+    save() {
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.getSettings()));
+        }
+        catch (e) {
+            console.log(e);
+        }
+    }
+
+    restore() {
+
+        try {
+            let saved = localStorage.getItem(this.storageKey);
+            if (saved) this.setSettings(JSON.parse(saved));
+        }
+        catch (e) {
+            console.log(e);
+        }
+    }
+
+    // back to the settings of the source, and forget the saved ones
+
+    reset() {
+
+        try {
+            localStorage.removeItem(this.storageKey);
+        }
+        catch (e) {
+            console.log(e);
+        }
+        this.kicks.forEach((kick) => {
+            if (this._defaults.kicks[kick.name]) kick.set(this._defaults.kicks[kick.name]);
+        });
+        this.beats.forEach((beat) => {
+            if (this._defaults.beats[beat.name]) beat.set(this._defaults.beats[beat.name]);
+        });
+        this.sound._resyncBeats();
+        this.build();
+    }
+
+    exportSettings() {
+
+        let link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(this.getSettings(), null, 2)], { type: 'application/json' }));
+        link.download = 'tweaks.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /**
+       * Keep the settings of the kicks and beats created so far as defaults, restore the saved ones and build the panel.
+       * Call again after creating kicks or beats.
+       */
+
+    refresh() {
+
+        this.kicks.forEach((kick) => {
+            if (!this._defaults.kicks[kick.name]) this._defaults.kicks[kick.name] = this.kickSettings(kick);
+        });
+        this.beats.forEach((beat) => {
+            if (!this._defaults.beats[beat.name]) this._defaults.beats[beat.name] = this.beatSettings(beat);
+        });
+        this.restore();
+        this.build();
+    }
+
+    build() {
+
+        this.element.innerHTML = '';
+        this._rows = { kicks: {}, beats: {} };
+
+        let actions = document.createElement('div');
+        actions.className = 'actions';
+        actions.appendChild(this._button('export json', () => this.exportSettings()));
+        actions.appendChild(this._button('reset', () => this.reset()));
+        this.element.appendChild(actions);
+
+        let bins = this.sound.analyser.fftSize / 2 - 1;
+        this.kicks.forEach((kick, i) => {
+            let row = this._row(kick, i < 9 ? (i + 1) + '. ' + kick.name : kick.name);
+            let frequency = this._frequency(kick);
+            row.appendChild(this._slider('from', frequency[0], 0, bins, 1, (value) => kick.set({ frequency: [value, Math.max(value, this._frequency(kick)[1])] })));
+            row.appendChild(this._slider('to', frequency[1], 0, bins, 1, (value) => kick.set({ frequency: [Math.min(value, this._frequency(kick)[0]), value] })));
+            if (kick.mode === 'adaptive') {
+                row.appendChild(this._slider('threshold', kick.threshold, 0, 20, 0.1, (value) => kick.set({ threshold: value })));
+                row.appendChild(this._slider('sensitivity', kick.sensitivity, 0, 4, 0.05, (value) => kick.set({ sensitivity: value })));
+                row.appendChild(this._slider('release', kick.release, 0.01, 1, 0.01, (value) => kick.set({ release: value })));
+            } else {
+                row.appendChild(this._slider('threshold', kick.threshold, 0, 255, 1, (value) => kick.set({ threshold: value })));
+                row.appendChild(this._slider('decay', kick.decay, 0, 20, 0.1, (value) => kick.set({ decay: value })));
+            }
+            this._rows.kicks[kick.name] = row;
+        });
+
+        this.beats.forEach((beat) => {
+            let row = this._row(beat, beat.name);
+            row.appendChild(this._slider('factor', beat.factor, 0.25, 8, 0.25, (value) => beat.set({ factor: value })));
+            row.appendChild(this._slider('subdivision', beat.subdivision, 1, 8, 1, (value) => beat.set({ subdivision: value })));
+            this._rows.beats[beat.name] = row;
+        });
+    }
+
+    _frequency(kick) {
+
+        return kick.frequency.length ? kick.frequency : [kick.frequency, kick.frequency];
+    }
+
+    _row(item, label) {
+
+        let row = document.createElement('div');
+        row.className = 'row';
+        row.item = item;
+
+        let title = document.createElement('label');
+        title.className = 'title';
+        row.indicator = document.createElement('span');
+        row.indicator.className = 'indicator';
+        row.toggle = document.createElement('input');
+        row.toggle.type = 'checkbox';
+        row.toggle.checked = item.isOn;
+        row.toggle.addEventListener('change', () => row.toggle.checked ? item.on() : item.off(), false);
+        title.appendChild(row.toggle);
+        title.appendChild(row.indicator);
+        title.appendChild(document.createTextNode(label));
+        row.appendChild(title);
+
+        this.element.appendChild(row);
+        return row;
+    }
+
+    // the kick settings are applied on release, an offline analysis computes a timeline for each of them
+
+    _slider(label, value, min, max, step, onChange) {
+
+        let element = document.createElement('label');
+        element.className = 'slider';
+        let name = document.createElement('span');
+        let input = document.createElement('input');
+        input.type = 'range';
+        input.min = min;
+        input.max = max;
+        input.step = step;
+        input.value = value;
+        let output = document.createElement('span');
+        output.innerHTML = value;
+        input.addEventListener('input', () => output.innerHTML = input.value, false);
+        input.addEventListener('change', () => {
+            onChange(Number(input.value));
+            this.sound._resyncBeats();
+            this.save();
+        }, false);
+        name.innerHTML = label;
+        element.appendChild(name);
+        element.appendChild(input);
+        element.appendChild(output);
+        return element;
+    }
+
+    _button(label, onClick) {
+
+        let button = document.createElement('button');
+        button.innerHTML = label;
+        button.addEventListener('click', onClick, false);
+        return button;
+    }
+
+    _hit(row) {
+
+        if (!row || !this.isVisible) return;
+        row.indicator.classList.add('hit');
+        clearTimeout(row.hitTimeout);
+        row.hitTimeout = setTimeout(() => row.indicator.classList.remove('hit'), 100);
+    }
+
+    updateSwitches() {
+
+        [this._rows.kicks, this._rows.beats].forEach((rows) => {
+            for (let name in rows) {
+                rows[name].toggle.checked = rows[name].item.isOn;
+            }
+        });
+    }
+
+    toggle(isVisible = !this.isVisible) {
+
+        this.isVisible = isVisible;
+        this.element.style.display = isVisible ? 'block' : 'none';
+        if (isVisible) this.updateSwitches();
+    }
+
+    onKeyDown(e) {
+
+        if (e.target.tagName === 'INPUT' && e.target.type !== 'range' && e.target.type !== 'checkbox') return;
+        if (e.key === this.toggleKey) {
+            this.toggle();
+            return;
+        }
+        let index = Number(e.key) - 1;
+        if (!this.isVisible || !(index >= 0 && index < 9)) return;
+        let kick = this.kicks[index];
+        if (!kick) return;
+        kick.isOn ? kick.off() : kick.on();
+        this.updateSwitches();
+    }
+
+    dispose() {
+
+        window.removeEventListener('keydown', this._onKeyDown, false);
+        this.sound.off('sectionenter', this._onSectionEnter);
+        this.sound.off('kick', this._onKick);
+        this.sound.off('beat', this._onBeat);
+        document.body.removeChild(this.element);
+    }
+}
+
+class LiveControls extends Emitter {
+
+    /**
+       * Events : action (action, type, input)
+       * Performance input for live sets : keys, touch gestures and gamepad buttons bound to actions, the bindings saved in localStorage.
+       * Actions : playPause, seekBack, seekForward, tapTempo, kick, nextPreset, previousPreset, preset:<name>, toggleKick:<name>, and any function added to this.actions
+       * Inputs  : keys by KeyboardEvent.code with Shift+ / Alt+ / Ctrl+ prefixes, gestures (tap, doubletap, twofingertap, longpress, swipeleft, swiperight, swipeup, swipedown), gamepad button indexes of the standard mapping
+       * sound      : Sound played
+       * visualizer : Visualizer whose presets are switched
+       * element    : element receiving the touch gestures, not the canvas of OrbitControls where every drag would also be a gesture
+       * seekBars   : bars jumped by seekBack / seekForward
+       * onKick     : called by the manual kick, which also sends a kick event on the sound (id -1, name 'manual')
+       * storageKey : localStorage key of the saved bindings
+       */
+    constructor(sound, { visualizer = null, element = document.body, seekBars = 4, onKick = null, storageKey = 'sound-controls' } = {}) {
+
+        super();
+
+        this.sound = sound;
+        this.visualizer = visualizer;
+        this.element = element;
+        this.seekBars = seekBars;
+        this.onKick = onKick;
+        this.storageKey = storageKey;
+        this._taps = [];
+        this._touch = null;
+        this._lastTap = 0;
+        this._learning = null;
+        this._buttons = {};
+        this._request = null;
+
+        this.actions = {
+            playPause: () => {
+                if (this.sound.isRendering) return;
+                this.sound.isPlaying ? this.sound.pause() : this.sound.play();
+            },
+            seekBack: () => this.seekBy(-this.seekBars),
+            seekForward: () => this.seekBy(this.seekBars),
+            tapTempo: () => this.tap(),
+            kick: () => {
+                this.onKick && this.onKick();
+                this.sound.emit('kick', { id: -1, name: 'manual', magnitude: 1 });
+            },
+            nextPreset: () => this.stepPreset(1),
+            previousPreset: () => this.stepPreset(-1),
+            preset: (name) => this.visualizer && this.visualizer.get(name) && this.visualizer.use(name),
+            toggleKick: (name) => {
+                let kick = this.sound.getKick(name);
+                if (kick) kick.isOn ? kick.off() : kick.on();
+            }
+        };
+
+        this.bindings = this.defaultBindings();
+        this.restore();
+
+        this._onKeyDown = this.onKeyDown.bind(this);
+        this._onTouchStart = this.onTouchStart.bind(this);
+        this._onTouchEnd = this.onTouchEnd.bind(this);
+        this._onGamepad = this.onGamepad.bind(this);
+        this._poll = this.poll.bind(this);
+        window.addEventListener('keydown', this._onKeyDown, false);
+        element.addEventListener('touchstart', this._onTouchStart, false);
+        element.addEventListener('touchend', this._onTouchEnd, false);
+        window.addEventListener('gamepadconnected', this._onGamepad, false);
+    }
+
+    // the named kicks are switched with Shift + 1 - 9, in their creation order
+
+    defaultBindings() {
+
+        let bindings = {
+            keys: {
+                'Space': 'playPause',
+                'ArrowLeft': 'seekBack',
+                'ArrowRight': 'seekForward',
+                'KeyT': 'tapTempo',
+                'KeyK': 'kick',
+                'KeyN': 'nextPreset',
+                'Shift+KeyN': 'previousPreset'
+            },
+            touch: {
+                'tap': 'kick',
+                'doubletap': 'playPause',
+                'twofingertap': 'tapTempo',
+                'swipeleft': 'seekBack',
+                'swiperight': 'seekForward',
+                'swipeup': 'nextPreset',
+                'swipedown': 'previousPreset'
+            },
+            gamepad: {
+                '0': 'kick',
+                '2': 'tapTempo',
+                '4': 'previousPreset',
+                '5': 'nextPreset',
+                '9': 'playPause',
+                '14': 'seekBack',
+                '15': 'seekForward'
+            }
+        };
+        this.sound._kicks.filter((kick) => kick.name !== undefined).slice(0, 9).forEach((kick, i) => {
+            bindings.keys['Shift+Digit' + (i + 1)] = 'toggleKick:' + kick.name;
+        });
+        return bindings;
+    }
+
+    /**
+       * Bind an input to an action, replacing its previous action.
+       * type   : 'keys', 'touch' or 'gamepad'
+       * input  : key code, gesture or button index
+       * action : action name, with its argument after a colon
+       */
+
+    bind(type, input, action) {
+
+        if (!this.bindings[type]) throw new Error('Unknown input type "' + type + '"');
+        if (!this.actions[action.split(':')[0]]) throw new Error('Unknown action "' + action + '"');
+        this.bindings[type][input] = action;
+        this.save();
+        return this;
+    }
+
+    // kept as null so restore doesn't bring back a default binding
+
+    unbind(type, input) {
+
+        this.bindings[type][input] = null;
+        this.save();
+        return this;
+    }
+
+    // bind the next key, gesture or button to the action, then call callback with (type, input)
+
+    learn(action, callback) {
+
+        this._learning = { action: action, callback: callback };
+        return this;
+    }
+
+    run(action, type, input) {
+
+        let [name, argument] = action.split(':');
+        if (!this.actions[name]) return;
+        this.actions[name](argument);
+        this.emit('action', action, type, input);
+    }
+
+    _input(type, input) {
+
+        if (this._learning) {
+            let { action, callback } = this._learning;
+            this._learning = null;
+            this.bind(type, input, action);
+            if (callback) callback(type, input);
+            return true;
+        }
+        let action = this.bindings[type][input];
+        if (action) this.run(action, type, input);
+        return !!action;
+    }
+
+    // bars jumped from the start of the current bar
+
+    seekBy(bars) {
+
+        let barDuration = this.sound.barTime(1) - this.sound.barTime(0);
+        if (!barDuration) return;
+        let bar = Math.floor((this.sound.time - this.sound.barTime(0)) / barDuration + 1e-6);
+        this.sound.seek(this.sound.barTime(bar + bars));
+    }
+
+    /**
+       * Tap tempo : from the fourth tap, the bpm and the downbeat are fitted to the taps, a pause of 2 seconds starts a new series.
+       */
+
+    tap() {
+
+        if (!this.sound.isPlaying) return;
+        let time = this.sound.time;
+        let last = this._taps[this._taps.length - 1];
+        if (last === undefined || time <= last || time - last > 2) this._taps = [];
+        this._taps.push(time);
+        this._taps = this._taps.slice(-8);
+        if (this._taps.length < 4) return;
+
+        // least squares line through the taps, tap i at first + i * beat
+        let n = this._taps.length;
+        let meanIndex = (n - 1) / 2;
+        let meanTime = this._taps.reduce((sum, item) => sum + item, 0) / n;
+        let covariance = 0;
+        let variance = 0;
+        this._taps.forEach((item, i) => {
+            covariance += (i - meanIndex) * (item - meanTime);
+            variance += (i - meanIndex) * (i - meanIndex);
+        });
+        let beatDuration = covariance / variance;
+        let first = meanTime - meanIndex * beatDuration;
+        let barDuration = beatDuration * 4;
+        this.sound.setTempo(60 / beatDuration, first - Math.floor(first / barDuration) * barDuration);
+    }
+
+    stepPreset(step) {
+
+        if (!this.visualizer) return;
+        let names = Object.keys(this.visualizer.presets);
+        let index = names.indexOf(this.visualizer.current && this.visualizer.current.name);
+        this.visualizer.use(names[(index + step + names.length) % names.length]);
+    }
+
+    onKeyDown(e) {
+
+        if (e.repeat || e.target.tagName === 'INPUT' && e.target.type !== 'range' && e.target.type !== 'checkbox') return;
+        let modifiers = (e.ctrlKey ? 'Ctrl+' : '') + (e.altKey ? 'Alt+' : '') + (e.shiftKey ? 'Shift+' : '');
+        if (['ShiftLeft', 'ShiftRight', 'AltLeft', 'AltRight', 'ControlLeft', 'ControlRight'].indexOf(e.code) > -1) return;
+        if (this._input('keys', modifiers + e.code)) e.preventDefault();
+    }
+
+    onTouchStart(e) {
+
+        let touch = e.touches[0];
+        if (e.touches.length === 1) this._touch = { time: Date.now(), x: touch.clientX, y: touch.clientY, count: 1 };
+        else if (this._touch) this._touch.count = Math.max(this._touch.count, e.touches.length);
+    }
+
+    // gestures are recognized once every finger is lifted, a double tap also fires the first tap
+
+    onTouchEnd(e) {
+
+        if (e.touches.length || !this._touch) return;
+        let touch = e.changedTouches[0];
+        let duration = Date.now() - this._touch.time;
+        let dx = touch.clientX - this._touch.x;
+        let dy = touch.clientY - this._touch.y;
+        let distance = Math.sqrt(dx * dx + dy * dy);
+        let count = this._touch.count;
+        this._touch = null;
+
+        let gesture = null;
+        if (distance > 60 && duration < 400) {
+            gesture = Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'swiperight' : 'swipeleft') : (dy > 0 ? 'swipedown' : 'swipeup');
+        } else if (distance < 20 && count === 2 && duration < 300) {
+            gesture = 'twofingertap';
+        } else if (distance < 20 && duration > 600) {
+            gesture = 'longpress';
+        } else if (distance < 20 && duration < 250) {
+            let now = Date.now();
+            gesture = now - this._lastTap < 300 ? 'doubletap' : 'tap';
+            this._lastTap = gesture === 'tap' ? now : 0;
+        }
+        if (gesture) this._input('touch', gesture);
+    }
+
+    onGamepad() {
+
+        if (!this._request) this._request = requestAnimationFrame(this._poll);
+    }
+
+    // buttons are read every frame while a gamepad is connected, actions fire when pressed
+
+    poll() {
+
+        let gamepads = Array.from(navigator.getGamepads ? navigator.getGamepads() : []).filter((gamepad) => gamepad);
+        if (!gamepads.length) {
+            this._request = null;
+            return;
+        }
+        gamepads.forEach((gamepad) => {
+            let previous = this._buttons[gamepad.index] || [];
+            gamepad.buttons.forEach((button, i) => {
+                if (button.pressed && !previous[i]) this._input('gamepad', String(i));
+            });
+            this._buttons[gamepad.index] = gamepad.buttons.map((button) => button.pressed);
+        });
+        this._request = requestAnimationFrame(this._poll);
+    }
+
+    save() {
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+        }
+        catch (e) {
+            console.log(e);
+        }
+    }
+
+    restore() {
+
+        try {
+            let saved = localStorage.getItem(this.storageKey);
+            if (!saved) return;
+            // saved bindings over the defaults of each input type, so new defaults are kept
+            let bindings = this.defaultBindings();
+            saved = JSON.parse(saved);
+            for (let type in bindings) Object.assign(bindings[type], saved[type]);
+            this.bindings = bindings;
+        }
+        catch (e) {
+            console.log(e);
+        }
+    }
+
+    // back to the default bindings, and forget the saved ones
+
+    reset() {
+
+        try {
+            localStorage.removeItem(this.storageKey);
+        }
+        catch (e) {
+            console.log(e);
+        }
+        this.bindings = this.defaultBindings();
+    }
+
+    dispose() {
+
+        window.removeEventListener('keydown', this._onKeyDown, false);
+        this.element.removeEventListener('touchstart', this._onTouchStart, false);
+        this.element.removeEventListener('touchend', this._onTouchEnd, false);
+        window.removeEventListener('gamepadconnected', this._onGamepad, false);
+        if (this._request) cancelAnimationFrame(this._request);
+        this._request = null;
+    }
+}
+
+class FFT {
+
+    /**
+       * size : number of samples per transform (power of two)
+       */
+    constructor(size) {
+
+        this.size = size;
+        this.real = new Float32Array(size);
+        this.imag = new Float32Array(size);
+
+        // bit reversal permutation
+        let bits = Math.round(Math.log(size) / Math.LN2);
+        this._reverse = new Uint32Array(size);
+        for (let i = 0; i < size; i++) {
+            let rev = 0;
+            for (let b = 0; b < bits; b++) {
+                rev = (rev << 1) | ((i >> b) & 1);
+            }
+            this._reverse[i] = rev;
+        }
+
+        // twiddle factors
+        this._cos = new Float32Array(size / 2);
+        this._sin = new Float32Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            this._cos[i] = Math.cos(-2 * Math.PI * i / size);
+            this._sin[i] = Math.sin(-2 * Math.PI * i / size);
+        }
+    }
+
+    // magnitudes of a real signal, written in output (size / 2 values)
+
+    forward(input, output) {
+
+        let size = this.size;
+        let real = this.real;
+        let imag = this.imag;
+
+        for (let i = 0; i < size; i++) {
+            real[this._reverse[i]] = input[i];
+            imag[i] = 0;
+        }
+
+        for (let len = 2; len <= size; len <<= 1) {
+            let half = len >> 1;
+            let step = size / len;
+            for (let i = 0; i < size; i += len) {
+                for (let j = 0; j < half; j++) {
+                    let a = i + j;
+                    let b = a + half;
+                    let cos = this._cos[j * step];
+                    let sin = this._sin[j * step];
+                    let tr = real[b] * cos - imag[b] * sin;
+                    let ti = real[b] * sin + imag[b] * cos;
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+            }
+        }
+
+        for (let i = 0; i < size / 2; i++) {
+            output[i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]);
+        }
+
+        return output;
+    }
+}
+
+class Bands {
+
+    // named bands in Hz
+
+    static get named() {
+
+        return {
+            'sub': [20, 60],
+            'bass': [60, 250],
+            'low-mid': [250, 500],
+            'mid': [500, 2000],
+            'high-mid': [2000, 4000],
+            'presence': [4000, 6000],
+            'brilliance': [6000, 20000]
+        };
+    }
+
+    // band name or [startHz, endHz] to [startHz, endHz]
+
+    static toHz(band) {
+
+        if (typeof band === 'string') {
+            let range = Bands.named[band];
+            if (!range) throw new Error('Unknown frequency band "' + band + '"');
+            return range;
+        }
+        return band;
+    }
+
+    /**
+       * Inclusive range of spectrum bins covering a band, at least one bin wide.
+       * band       : band name or [startHz, endHz]
+       * sampleRate : sample rate of the analysed signal
+       * fftSize    : fft size of the analyser
+       */
+
+    static toBins(band, sampleRate, fftSize) {
+
+        let [startFreq, endFreq] = Bands.toHz(band);
+        let bins = fftSize / 2;
+        let binWidth = sampleRate / fftSize;
+        let from = Math.min(bins - 1, Math.max(0, Math.round(startFreq / binWidth)));
+        let to = Math.min(bins - 1, Math.max(from, Math.round(endFreq / binWidth)));
+        return [from, to];
+    }
+
+    // octave bands (fraction 3 for third octaves) centered on 1kHz, between 20Hz and 20kHz
+
+    static octaves(fraction = 1) {
+
+        let bands = [];
+        for (let k = -6 * fraction; k <= 4 * fraction; k++) {
+            let center = 1000 * Math.pow(2, k / fraction);
+            let low = center * Math.pow(2, -1 / (2 * fraction));
+            let high = center * Math.pow(2, 1 / (2 * fraction));
+            if (high > 20 && low < 20000) bands.push([Math.max(20, low), Math.min(20000, high)]);
+        }
+        return bands;
+    }
+
+    // count bands equally spaced on a log scale
+
+    static log(count, minFreq = 20, maxFreq = 20000) {
+
+        let bands = [];
+        for (let i = 0; i < count; i++) {
+            bands.push([minFreq * Math.pow(maxFreq / minFreq, i / count), minFreq * Math.pow(maxFreq / minFreq, (i + 1) / count)]);
+        }
+        return bands;
+    }
+
+    // critical bands of hearing (Bark scale)
+
+    static bark() {
+
+        let edges = [20, 100, 200, 300, 400, 510, 630, 770, 920, 1080, 1270, 1480, 1720, 2000, 2320, 2700, 3150, 3700, 4400, 5300, 6400, 7700, 9500, 12000, 15500, 20000];
+        let bands = [];
+        for (let i = 0; i < edges.length - 1; i++) {
+            bands.push([edges[i], edges[i + 1]]);
+        }
+        return bands;
+    }
+
+    /**
+       * Bands of a grouping.
+       * grouping : 'named', 'octave', 'third-octave', 'bark', 'log' or an array of bands
+       * count    : number of bands for 'log'
+       */
+
+    static group(grouping, count = 16) {
+
+        if (Array.isArray(grouping)) return grouping.map(Bands.toHz);
+        switch (grouping) {
+            case 'named': return Object.keys(Bands.named).map((name) => Bands.named[name]);
+            case 'octave': return Bands.octaves(1);
+            case 'third-octave': return Bands.octaves(3);
+            case 'bark': return Bands.bark();
+            case 'log': return Bands.log(count);
+        }
+        throw new Error('Unknown band grouping "' + grouping + '"');
+    }
+}
+
+class Analyser {
+
+    /**
+       * node                  : AnalyserNode to read from
+       * fftSize               : fft size, the spectrum has half as many bins
+       * smoothingTimeConstant : averaging with the previous spectrum (0 - 1)
+       * minDecibels           : decibels mapped to 0 in byte spectra
+       * maxDecibels           : decibels mapped to 255 in byte spectra
+       * channel               : 'mix', 'left' or 'right', as connected by the Sound
+       */
+    constructor(node, { fftSize = 512, smoothingTimeConstant = .8, minDecibels = -100, maxDecibels = -30, channel = 'mix' } = {}) {
+
+        this.node = node;
+        this.channel = channel;
+        this.features = { rms: 0, peak: 0, centroid: 0, flux: 0, rolloff: 0, flatness: 0, zcr: 0 };
+        this.configure({ fftSize, smoothingTimeConstant, minDecibels, maxDecibels });
+    }
+
+    configure({ fftSize, smoothingTimeConstant, minDecibels, maxDecibels }) {
+
+        if (fftSize !== undefined) this.node.fftSize = fftSize;
+        if (smoothingTimeConstant !== undefined) this.node.smoothingTimeConstant = smoothingTimeConstant;
+        if (minDecibels !== undefined) this.node.minDecibels = minDecibels;
+        if (maxDecibels !== undefined) this.node.maxDecibels = maxDecibels;
+
+        let bufferLength = this.node.frequencyBinCount;
+        this.frequencyDataArray = new Uint8Array(bufferLength);
+        this.timeDomainDataArray = new Uint8Array(bufferLength);
+        this.floatFrequencyDataArray = new Float32Array(bufferLength);
+        this.floatTimeDomainDataArray = new Float32Array(this.node.fftSize);
+        this._magnitudes = new Float32Array(bufferLength);
+        this._previousMagnitudes = new Float32Array(bufferLength);
+    }
+
+    get fftSize() {
+
+        return this.node.fftSize;
+    }
+
+    get binWidth() {
+
+        return this.node.context.sampleRate / this.node.fftSize;
+    }
+
+    // bytes (0 - 255)
+
+    getSpectrum() {
+
+        this.node.getByteFrequencyData(this.frequencyDataArray);
+
+        return this.frequencyDataArray;
+    }
+
+    // decibels
+
+    getFloatSpectrum() {
+
+        this.node.getFloatFrequencyData(this.floatFrequencyDataArray);
+
+        return this.floatFrequencyDataArray;
+    }
+
+    // bytes (128 is silence)
+
+    getWaveform() {
+
+        this.node.getByteTimeDomainData(this.timeDomainDataArray);
+
+        return this.timeDomainDataArray;
+    }
+
+    // samples (-1 - 1) over the whole fft window
+
+    getFloatWaveform() {
+
+        this.node.getFloatTimeDomainData(this.floatTimeDomainDataArray);
+
+        return this.floatTimeDomainDataArray;
+    }
+
+    /**
+       * Compute the features of the current frame, once per frame.
+       * rms      : root mean square of the waveform (0 - 1)
+       * peak     : max absolute sample (0 - 1)
+       * centroid : spectral centroid in Hz, the "brightness"
+       * flux     : increase of the spectrum since the last frame
+       * rolloff  : frequency in Hz under which 85% of the spectral energy is
+       * flatness : geometric over arithmetic mean of the spectrum, 1 for noise, 0 for a pure tone
+       * zcr      : zero-crossing rate, ratio of consecutive samples changing sign
+       */
+
+    update() {
+
+        let waveform = this.getFloatWaveform();
+        let sum = 0;
+        let peak = 0;
+        let crossings = 0;
+        for (let i = 0; i < waveform.length; i++) {
+            let value = waveform[i];
+            sum += value * value;
+            if (Math.abs(value) > peak) peak = Math.abs(value);
+            if (i > 0 && (value >= 0) !== (waveform[i - 1] >= 0)) crossings++;
+        }
+
+        let spectrum = this.getFloatSpectrum();
+        let magnitudes = this._magnitudes;
+        let previous = this._previousMagnitudes;
+        let binWidth = this.binWidth;
+        let total = 0;
+        let energy = 0;
+        let weighted = 0;
+        let flux = 0;
+        let logSum = 0;
+        for (let i = 0; i < spectrum.length; i++) {
+            previous[i] = magnitudes[i];
+            magnitudes[i] = isFinite(spectrum[i]) ? Math.pow(10, spectrum[i] / 20) : 0;
+            total += magnitudes[i];
+            energy += magnitudes[i] * magnitudes[i];
+            weighted += magnitudes[i] * i * binWidth;
+            flux += Math.max(0, magnitudes[i] - previous[i]);
+            logSum += Math.log(magnitudes[i] + 1e-12);
+        }
+
+        let rolloff = 0;
+        let cumulated = 0;
+        for (let i = 0; i < magnitudes.length; i++) {
+            cumulated += magnitudes[i] * magnitudes[i];
+            if (cumulated >= energy * 0.85) {
+                rolloff = i * binWidth;
+                break;
+            }
+        }
+
+        let mean = total / magnitudes.length;
+        this.features.rms = Math.sqrt(sum / waveform.length);
+        this.features.peak = peak;
+        this.features.zcr = crossings / (waveform.length - 1);
+        this.features.centroid = total ? weighted / total : 0;
+        this.features.flux = flux / magnitudes.length;
+        this.features.rolloff = rolloff;
+        this.features.flatness = mean ? Math.exp(logSum / magnitudes.length) / mean : 0;
+
+        return this.features;
+    }
+}
+
+class BufferAnalyser extends Analyser {
+
+    /**
+       * Same interface as Analyser, read from a precomputed Analysis at the sound time instead of an AnalyserNode.
+       * sound    : Sound giving the time
+       * analysis : Analysis of the track, its settings can't be changed
+       * channel  : channel of the replaced analyser, the analysis itself is mono
+       */
+    constructor(sound, analysis, channel = 'mix') {
+
+        super(null, { fftSize: analysis.fftSize, channel: channel });
+        this.sound = sound;
+        this.analysis = analysis;
+    }
+
+    configure({ fftSize }) {
+
+        if (this._fftSize) return;
+        this._fftSize = fftSize;
+        let bufferLength = fftSize / 2;
+        this.frequencyDataArray = new Uint8Array(bufferLength);
+        this.timeDomainDataArray = new Uint8Array(bufferLength);
+        this.floatFrequencyDataArray = new Float32Array(bufferLength);
+        this.floatTimeDomainDataArray = new Float32Array(fftSize);
+        this._magnitudes = new Float32Array(bufferLength);
+        this._previousMagnitudes = new Float32Array(bufferLength);
+    }
+
+    get fftSize() {
+
+        return this._fftSize;
+    }
+
+    get binWidth() {
+
+        return this.analysis.sampleRate / this._fftSize;
+    }
+
+    getSpectrum() {
+
+        this.frequencyDataArray.set(this.analysis.getSpectrum(this.sound.time));
+        return this.frequencyDataArray;
+    }
+
+    // decibels, back from the bytes of the analysis
+
+    getFloatSpectrum() {
+
+        let analysis = this.analysis;
+        let spectrum = analysis.getSpectrum(this.sound.time);
+        let range = analysis.maxDecibels - analysis.minDecibels;
+        for (let i = 0; i < spectrum.length; i++) {
+            this.floatFrequencyDataArray[i] = spectrum[i] ? analysis.minDecibels + spectrum[i] / 255 * range : -Infinity;
+        }
+        return this.floatFrequencyDataArray;
+    }
+
+    getWaveform() {
+
+        let waveform = this.getFloatWaveform();
+        for (let i = 0; i < this.timeDomainDataArray.length; i++) {
+            this.timeDomainDataArray[i] = Math.max(0, Math.min(255, Math.floor(128 * (1 + waveform[i]))));
+        }
+        return this.timeDomainDataArray;
+    }
+
+    // the fft window ending at the sound time
+
+    getFloatWaveform() {
+
+        let samples = this.analysis.samples;
+        let start = Math.round(this.sound.time * this.analysis.sampleRate) - this._fftSize;
+        for (let i = 0; i < this._fftSize; i++) {
+            this.floatTimeDomainDataArray[i] = samples[start + i] || 0;
+        }
+        return this.floatTimeDomainDataArray;
+    }
+}
+
+class Analysis {
+
+    /**
+       * Spectra are computed like the live AnalyserNode does (blackman window, time smoothing, decibels scaled to bytes) so kick thresholds are the same in both modes.
+       * samples               : mono samples of the track
+       * sampleRate            : sample rate of the samples
+       * fftSize               : window size of the analyser
+       * smoothingTimeConstant : smoothing of the analyser
+       * minDecibels           : decibels mapped to 0
+       * maxDecibels           : decibels mapped to 255
+       * frameRate             : number of analysis frames per second
+       */
+    constructor(samples, sampleRate, { fftSize = 512, smoothingTimeConstant = .8, minDecibels = -100, maxDecibels = -30, frameRate = 60 } = {}) {
+
+        this.samples = samples;
+        this.sampleRate = sampleRate;
+        this.fftSize = fftSize;
+        this.smoothingTimeConstant = smoothingTimeConstant;
+        this.minDecibels = minDecibels;
+        this.maxDecibels = maxDecibels;
+        this.frameRate = frameRate;
+        this.duration = samples.length / sampleRate;
+        this.bins = fftSize / 2;
+        this.frames = Math.floor(this.duration * frameRate) + 1;
+
+        // results
+        this.spectra = new Uint8Array(this.frames * this.bins);
+        this.energy = new Float32Array(this.frames);
+        this.flux = new Float32Array(this.frames);
+        this.bands = {
+            low: new Float32Array(this.frames),
+            mid: new Float32Array(this.frames),
+            high: new Float32Array(this.frames)
+        };
+        this.onsets = [];
+        this.beats = [];
+        this._kickTimelines = {};
+
+        this._computeSpectra();
+        this._computeOnsets();
+    }
+
+    /**
+       * Render the buffer through an OfflineAudioContext (mixed down to mono) and analyse it.
+       * buffer  : decoded AudioBuffer
+       * options : Analysis options
+       */
+
+    static render(buffer, options) {
+
+        let OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        let offlineCtx = new OfflineContext(1, buffer.length, buffer.sampleRate);
+        let source = offlineCtx.createBufferSource();
+        source.buffer = buffer;
+        source.connect(offlineCtx.destination);
+        source.start(0);
+
+        return offlineCtx.startRendering().then((rendered) => {
+            return new Analysis(rendered.getChannelData(0), rendered.sampleRate, options);
+        });
+    }
+
+    _computeSpectra() {
+
+        let fft = new FFT(this.fftSize);
+        let bins = this.bins;
+        let hop = this.sampleRate / this.frameRate;
+        let frame = new Float32Array(this.fftSize);
+        let magnitudes = new Float32Array(bins);
+        let smoothed = new Float32Array(bins);
+        let range = this.maxDecibels - this.minDecibels;
+        let bandBins = {
+            low: this.binRange(20, 250),
+            mid: this.binRange(250, 4000),
+            high: this.binRange(4000, 20000)
+        };
+
+        let blackman = new Float32Array(this.fftSize);
+        for (let i = 0; i < this.fftSize; i++) {
+            let x = i / this.fftSize;
+            blackman[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * x) + 0.08 * Math.cos(4 * Math.PI * x);
+        }
+
+        for (let f = 0; f < this.frames; f++) {
+
+            // window ending at the frame time, as the analyser reads the latest samples
+            let end = Math.round(f * hop);
+            let start = end - this.fftSize;
+            for (let i = 0; i < this.fftSize; i++) {
+                let value = this.samples[start + i];
+                frame[i] = value !== undefined ? value * blackman[i] : 0;
+            }
+            fft.forward(frame, magnitudes);
+
+            let offset = f * bins;
+            let flux = 0;
+            for (let i = 0; i < bins; i++) {
+                smoothed[i] = this.smoothingTimeConstant * smoothed[i] + (1 - this.smoothingTimeConstant) * magnitudes[i] / this.fftSize;
+                let db = 20 * Math.log10(smoothed[i]);
+                let value = Math.max(0, Math.min(255, Math.floor(255 * (db - this.minDecibels) / range)));
+                this.spectra[offset + i] = value;
+                if (f > 0) flux += Math.max(0, value - this.spectra[offset - bins + i]);
+            }
+            this.flux[f] = flux / (bins * 255);
+
+            // energy over the last hop
+            let sum = 0;
+            let count = 0;
+            for (let i = Math.max(0, end - Math.round(hop)); i < end && i < this.samples.length; i++) {
+                sum += this.samples[i] * this.samples[i];
+                count++;
+            }
+            this.energy[f] = count ? Math.sqrt(sum / count) : 0;
+
+            for (let name in bandBins) {
+                let [from, to] = bandBins[name];
+                let bandSum = 0;
+                for (let i = from; i <= to; i++) {
+                    bandSum += this.spectra[offset + i];
+                }
+                this.bands[name][f] = bandSum / ((to - from + 1) * 255);
+            }
+        }
+    }
+
+    _computeOnsets() {
+
+        // peaks of the spectral flux above a moving mean
+        let radius = 3;
+        let meanRadius = Math.round(this.frameRate / 8);
+        for (let f = 1; f < this.frames - 1; f++) {
+            let value = this.flux[f];
+            let isPeak = true;
+            for (let i = Math.max(0, f - radius); i <= Math.min(this.frames - 1, f + radius); i++) {
+                if (this.flux[i] > value) {
+                    isPeak = false;
+                    break;
+                }
+            }
+            if (!isPeak) continue;
+
+            let sum = 0;
+            let count = 0;
+            for (let i = Math.max(0, f - meanRadius); i <= Math.min(this.frames - 1, f + meanRadius); i++) {
+                sum += this.flux[i];
+                count++;
+            }
+            if (value > sum / count * 1.5 + 0.002) {
+                this.onsets.push({ time: f / this.frameRate, strength: value });
+            }
+        }
+    }
+
+    // inclusive bin range for a frequency range in Hz
+
+    binRange(startFreq, endFreq) {
+
+        return Bands.toBins([startFreq, endFreq], this.sampleRate, this.fftSize);
+    }
+
+    frameAt(time) {
+
+        return Math.max(0, Math.min(this.frames - 1, Math.round(time * this.frameRate)));
+    }
+
+    getSpectrum(time) {
+
+        let offset = this.frameAt(time) * this.bins;
+        return this.spectra.subarray(offset, offset + this.bins);
+    }
+
+    // beat times of a fixed tempo grid
+
+    beatGrid(beatDuration, offsetTime = 0) {
+
+        let beats = [];
+        for (let time = offsetTime; time < this.duration; time += beatDuration) {
+            beats.push(time);
+        }
+        return beats;
+    }
+
+    /**
+       * Estimate the tempo from the autocorrelation of the onset envelope, then the first downbeat from the low band energy.
+       * bpm         : known tempo, only the downbeat is detected when given
+       * minBpm      : slowest tempo considered
+       * maxBpm      : fastest tempo considered
+       * beatsPerBar : number of beats in one bar
+       * returns { bpm, offset, confidence }
+       */
+
+    estimateTempo({ bpm, minBpm = 70, maxBpm = 180, beatsPerBar = 4 } = {}) {
+
+        let envelope = this.flux;
+        let frames = this.frames;
+        let frameRate = this.frameRate;
+
+        let mean = 0;
+        for (let f = 0; f < frames; f++) {
+            mean += envelope[f];
+        }
+        mean /= frames;
+        let centered = new Float32Array(frames);
+        for (let f = 0; f < frames; f++) {
+            centered[f] = envelope[f] - mean;
+        }
+
+        let autocorrelation = (lag) => {
+            let sum = 0;
+            for (let f = lag; f < frames; f++) {
+                sum += centered[f] * centered[f - lag];
+            }
+            return sum;
+        };
+        let energy = autocorrelation(0) || 1;
+
+        // best period, weighted around 120 bpm to avoid half or double tempo
+        let bestLag = 0;
+        let bestScore = -Infinity;
+        if (!bpm) {
+            for (let lag = Math.floor(60 * frameRate / maxBpm); lag <= Math.ceil(60 * frameRate / minBpm); lag++) {
+                let weight = Math.exp(-0.5 * Math.pow(Math.log2(60 * frameRate / lag / 120), 2));
+                let score = autocorrelation(lag) * weight;
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestLag = lag;
+                }
+            }
+        }
+
+        // refine tempo with a comb over the envelope, frame lags being too coarse
+        let interpolate = (values, t) => {
+            let i = Math.floor(t);
+            let frac = t - i;
+            return values[i] * (1 - frac) + values[i + 1] * frac;
+        };
+        let coarseBpm = bpm || 60 * frameRate / bestLag;
+        let minFine = bpm ? bpm : coarseBpm * 0.97;
+        let maxFine = bpm ? bpm : coarseBpm * 1.03;
+        let best = { bpm: coarseBpm, phase: 0, score: -Infinity };
+        for (let candidate = minFine; candidate <= maxFine; candidate += 0.05) {
+            let period = 60 * frameRate / candidate;
+            for (let phase = 0; phase < period; phase++) {
+                let sum = 0;
+                let count = 0;
+                for (let t = phase; t < frames - 1; t += period) {
+                    sum += interpolate(envelope, t);
+                    count++;
+                }
+                if (count && sum / count > best.score) {
+                    best = { bpm: candidate, phase: phase, score: sum / count };
+                }
+            }
+        }
+
+        // beat phase from the low end onsets, off-beat hats being often louder in the full envelope
+        let period = 60 * frameRate / best.bpm;
+        let lowFlux = new Float32Array(frames);
+        for (let f = 1; f < frames; f++) {
+            lowFlux[f] = Math.max(0, this.bands.low[f] - this.bands.low[f - 1]);
+        }
+        let bestPhaseScore = -Infinity;
+        for (let phase = 0; phase < period; phase += 0.25) {
+            let sum = 0;
+            for (let t = phase; t < frames - 1; t += period) {
+                sum += interpolate(lowFlux, t);
+            }
+            if (sum > bestPhaseScore) {
+                bestPhaseScore = sum;
+                best.phase = phase;
+            }
+        }
+
+        // downbeat : the beat of the bar with the most low end
+        let downbeat = 0;
+        let downbeatEnergy = -Infinity;
+        for (let k = 0; k < beatsPerBar; k++) {
+            let sum = 0;
+            for (let t = best.phase + k * period; t < frames; t += period * beatsPerBar) {
+                sum += this.bands.low[Math.round(t)] || 0;
+            }
+            if (sum > downbeatEnergy) {
+                downbeatEnergy = sum;
+                downbeat = k;
+            }
+        }
+        let offset = (best.phase + downbeat * period) / frameRate;
+        let barDuration = beatsPerBar * period / frameRate;
+        let firstOnset = this.onsets.length ? this.onsets[0].time : 0;
+        while (offset + barDuration < firstOnset + period / frameRate / 2) {
+            offset += barDuration;
+        }
+
+        return {
+            bpm: Math.round(best.bpm * 100) / 100,
+            offset: offset,
+            confidence: Math.max(0, Math.min(1, autocorrelation(Math.round(period)) / energy))
+        };
+    }
+
+    /**
+       * Run the kick detection on every frame as if the kick was always on. Cached until the kick settings change.
+       * kick : Kick instance
+       */
+
+    kickTimeline(kick) {
+
+        let key = kick.key;
+        if (this._kickTimelines[key]) return this._kickTimelines[key];
+
+        let timeline = {
+            magnitudes: new Float32Array(this.frames),
+            thresholds: new Float32Array(this.frames),
+            kicks: new Uint8Array(this.frames),
+            events: []
+        };
+        let state = kick.createState();
+        for (let f = 0; f < this.frames; f++) {
+            let spectrum = this.spectra.subarray(f * this.bins, (f + 1) * this.bins);
+            let result = kick.detect(state, spectrum, f / this.frameRate);
+            if (result.isKick) {
+                timeline.kicks[f] = 1;
+                timeline.events.push({ time: f / this.frameRate, magnitude: result.magnitude });
+            }
+            timeline.magnitudes[f] = result.magnitude;
+            timeline.thresholds[f] = result.threshold;
+        }
+
+        this._kickTimelines[key] = timeline;
+        return timeline;
+    }
+}
+
+class UniformBinder {
+
+    /**
+       * Drives ShaderMaterial uniforms from a Sound. Bind before the first render, three.js reads the uniform list when compiling.
+       * sound    : Sound to read from
+       * material : ShaderMaterial to drive
+       * bindings : { uniformName: binding options } (see bind)
+       */
+    constructor(sound, material, bindings = {}) {
+
+        this.sound = sound;
+        this.material = material;
+        this._bindings = {};
+        this._lastUpdate = 0;
+
+        for (let name in bindings) {
+            this.bind(name, bindings[name]);
+        }
+    }
+
+    static get easings() {
+
+        return {
+            linear: (t) => t,
+            easeInQuad: (t) => t * t,
+            easeOutQuad: (t) => t * (2 - t),
+            easeInOutQuad: (t) => t < .5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+            easeInCubic: (t) => t * t * t,
+            easeOutCubic: (t) => (--t) * t * t + 1,
+            easeOutExpo: (t) => t === 1 ? 1 : 1 - Math.pow(2, -10 * t)
+        };
+    }
+
+    /**
+       * source    : 'spectrum' or 'waveform' (uploaded as a 1 pixel high DataTexture), 'time', 'beatPhase', 'barPhase',
+       *             a band name (0 - 255), an analyser feature ('rms', 'centroid'...), a Modulator (kick envelope, LFO...) or a function
+       * range     : [min, max] of the source, mapped to 0 - 1 and clamped, [0, 1] by default ([0, 255] for bands)
+       * to        : [min, max] of the uniform, [0, 1] by default
+       * easing    : easing name (see easings) or function applied between range and to
+       * smoothing : seconds for the uniform to move by 63% toward a new value, 0 for none
+       */
+
+    bind(name, { source, range, to, easing, smoothing }) {
+
+        if (!this.material.uniforms[name]) this.material.uniforms[name] = { value: 0 };
+
+        let isBand = typeof source === 'string' && Bands.named[source] !== undefined;
+        this._bindings[name] = {
+            source: source,
+            range: range || (isBand ? [0, 255] : [0, 1]),
+            to: to || [0, 1],
+            easing: typeof easing === 'function' ? easing : UniformBinder.easings[easing || 'linear'],
+            smoothing: smoothing || 0,
+            texture: null
+        };
+        if (source === 'spectrum' || source === 'waveform') this._updateTexture(name, this._bindings[name]);
+        return this;
+    }
+
+    unbind(name) {
+
+        let binding = this._bindings[name];
+        if (binding && binding.texture) binding.texture.dispose();
+        delete this._bindings[name];
+        return this;
+    }
+
+    // update every uniform, once per frame
+
+    update() {
+
+        let now = this.sound.now;
+        let dt = this._lastUpdate ? now - this._lastUpdate : 0;
+        this._lastUpdate = now;
+
+        for (let name in this._bindings) {
+            let binding = this._bindings[name];
+            if (binding.source === 'spectrum' || binding.source === 'waveform') {
+                this._updateTexture(name, binding);
+                continue;
+            }
+
+            let [min, max] = binding.range;
+            let t = Math.max(0, Math.min(1, (this._read(binding.source) - min) / (max - min)));
+            let target = binding.to[0] + binding.easing(t) * (binding.to[1] - binding.to[0]);
+            let uniform = this.material.uniforms[name];
+            if (binding.smoothing > 0 && dt > 0) {
+                uniform.value += (target - uniform.value) * (1 - Math.exp(-dt / binding.smoothing));
+            } else {
+                uniform.value = target;
+            }
+        }
+    }
+
+    _read(source) {
+
+        let sound = this.sound;
+        if (typeof source === 'function') return source();
+        if (source instanceof Modulator) return source.value;
+        if (source === 'time') return sound.time;
+        if (source === 'beatPhase') return sound.phase(1);
+        if (source === 'barPhase') return sound.phase(4);
+        if (Bands.named[source] !== undefined) return sound.getBand(source);
+        if (sound.features[source] !== undefined) return sound.features[source];
+        throw new Error('Unknown uniform source "' + source + '"');
+    }
+
+    _updateTexture(name, binding) {
+
+        let data = binding.source === 'spectrum' ? this.sound.getSpectrum() : this.sound.getWaveform();
+
+        // the analyser may have been configured with another fft size
+        if (!binding.texture || binding.texture.image.width !== data.length) {
+            if (binding.texture) binding.texture.dispose();
+            binding.texture = new THREE.DataTexture(new Uint8Array(data.length), data.length, 1, THREE.LuminanceFormat, THREE.UnsignedByteType);
+            binding.texture.magFilter = THREE.LinearFilter;
+            binding.texture.minFilter = THREE.LinearFilter;
+            binding.texture.generateMipmaps = false;
+            this.material.uniforms[name].value = binding.texture;
+        }
+        binding.texture.image.data.set(data);
+        binding.texture.needsUpdate = true;
+    }
+}
+
+class Visualizer {
+
+    /**
+       * Runs one visual preset at a time in a shared scene, with animated transitions between them.
+       * sound          : Sound the audio frames are read from
+       * scene          : THREE.Scene the preset objects are added to
+       * camera         : camera given to the presets
+       * renderer       : THREE.WebGLRenderer
+       * transition     : default transition duration in seconds
+       * postProcessing : optional PostProcessing the scene is drawn through
+       */
+    constructor(sound, { scene, camera, renderer, transition = 1, postProcessing = null }) {
+
+        this.sound = sound;
+        this.scene = scene;
+        this.camera = camera;
+        this.renderer = renderer;
+        this.postProcessing = postProcessing;
+        this.transition = transition;
+        this.presets = {};
+        this.current = null;
+        this._previous = null;
+        this._transition = null;
+        this._lastUpdate = 0;
+        this._sectionPresets = {};
+
+        this._kickEnvelope = sound.createEnvelope({ kick: true, attack: 0.01, decay: 0.3 });
+        this._onSectionEnter = this.onSectionEnter.bind(this);
+    }
+
+    register(name, preset) {
+
+        preset.name = name;
+        this.presets[name] = preset;
+        return this;
+    }
+
+    get(name) {
+
+        return this.presets[name];
+    }
+
+    /**
+       * Switch to a preset, initialized on first use. The previous one shrinks while the new one grows.
+       * name     : registered preset name
+       * duration : transition duration in seconds
+       */
+
+    use(name, { duration = this.transition } = {}) {
+
+        let preset = this.presets[name];
+        if (!preset) throw new Error('Unknown preset "' + name + '"');
+        if (preset === this.current) return this;
+
+        if (!preset.isInitialized) {
+            preset.init(this);
+            preset.resize(this.renderer.domElement.clientWidth, this.renderer.domElement.clientHeight);
+            preset.isInitialized = true;
+        }
+
+        // a transition in progress ends right away
+        if (this._previous) this._finishTransition();
+
+        this._previous = this.current;
+        this.current = preset;
+        this.scene.add(preset.object);
+        this._transition = { start: this.sound.now, duration: duration };
+        this._applyTransition(duration > 0 ? 0 : 1);
+        return this;
+    }
+
+    /**
+       * Switch preset when entering sections.
+       * presets : { sectionLabel: presetName }
+       */
+
+    bindSections(presets) {
+
+        this._sectionPresets = presets;
+        this.sound.off('sectionenter', this._onSectionEnter).on('sectionenter', this._onSectionEnter);
+        return this;
+    }
+
+    onSectionEnter(label) {
+
+        if (this._sectionPresets[label]) this.use(this._sectionPresets[label]);
+    }
+
+    /**
+       * Audio data given to the presets each frame.
+       * time, dt       : song time and seconds since the last frame
+       * spectrum       : byte spectrum, waveform : byte waveform
+       * bands          : named bands (0 - 1)
+       * features       : features of the main analyser
+       * beatPhase      : position in the current beat (0 - 1), barPhase in the current bar
+       * kick           : envelope triggered by any kick (0 - 1)
+       */
+
+    getAudioFrame() {
+
+        let sound = this.sound;
+        let now = sound.now;
+        let dt = this._lastUpdate ? Math.min(now - this._lastUpdate, 0.1) : 0;
+        this._lastUpdate = now;
+
+        let bands = {};
+        for (let name in Bands.named) {
+            bands[name] = sound.getBand(name) / 255;
+        }
+
+        return {
+            sound: sound,
+            time: sound.time,
+            dt: dt,
+            spectrum: sound.getSpectrum(),
+            waveform: sound.getWaveform(),
+            bands: bands,
+            features: sound.features,
+            beatPhase: sound.phase(1),
+            barPhase: sound.phase(4),
+            kick: this._kickEnvelope.value
+        };
+    }
+
+    render() {
+
+        let frame = this.getAudioFrame();
+
+        if (this._transition) {
+            let t = this._transition.duration > 0 ? (this.sound.now - this._transition.start) / this._transition.duration : 1;
+            if (t >= 1) this._finishTransition();
+            else this._applyTransition(t);
+        }
+
+        if (this._previous) this._previous.update(frame);
+        if (this.current) this.current.update(frame);
+
+        if (this.postProcessing) this.postProcessing.render(this.scene, this.camera);
+        else this.renderer.render(this.scene, this.camera);
+    }
+
+    resize(width, height) {
+
+        for (let name in this.presets) {
+            if (this.presets[name].isInitialized) this.presets[name].resize(width, height);
+        }
+        if (this.postProcessing) this.postProcessing.resize(width, height);
+    }
+
+    dispose() {
+
+        this.sound.off('sectionenter', this._onSectionEnter);
+        this.sound.removeModulator(this._kickEnvelope);
+        for (let name in this.presets) {
+            let preset = this.presets[name];
+            if (!preset.isInitialized) continue;
+            this.scene.remove(preset.object);
+            preset.dispose();
+            preset.isInitialized = false;
+        }
+        this.current = null;
+        this._previous = null;
+    }
+
+    _applyTransition(t) {
+
+        let eased = t < .5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+        this.current.object.scale.setScalar(Math.max(0.0001, eased));
+        if (this._previous) this._previous.object.scale.setScalar(Math.max(0.0001, 1 - eased));
+    }
+
+    _finishTransition() {
+
+        this._applyTransition(1);
+        if (this._previous) this.scene.remove(this._previous.object);
+        this._previous = null;
+        this._transition = null;
+    }
+}
+
+class Preset {
+
+    /**
+       * A self-contained visual. Everything it draws goes in this.object, which the Visualizer adds to the scene and scales for transitions.
+       * options : preset settings
+       */
+    constructor(options = {}) {
+
+        this.options = options;
+        this.object = new THREE.Group();
+        this.isInitialized = false;
+    }
+
+    // build the objects, visualizer gives access to the scene, camera and renderer
+
+    init(visualizer) {}
+
+    // called every frame with Visualizer.getAudioFrame
+
+    update(frame) {}
+
+    resize(width, height) {}
+
+    // free geometries, materials and textures
+
+    dispose() {
+
+        this.object.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.object = new THREE.Group();
+    }
+}
+
+class NoiseCubePreset extends Preset {
+
+    /**
+       * The simplex noise cube of points, shaders in #vert-shader / #frag-shader.
+       * kick : function returning the kick strength (0 - 255) that moves the noise
+       */
+
+    init(visualizer) {
+
+        this.geometry = new THREE.BoxBufferGeometry(40, 40, 40, 80, 80, 80);
+
+        this.material = new THREE.ShaderMaterial({
+            vertexShader: document.getElementById("vert-shader").textContent,
+            fragmentShader: document.getElementById("frag-shader").textContent,
+            uniforms: {
+                soundKick: {
+                    type: "f",
+                    value: 0.0
+                },
+                spectrumTexture: {
+                    value: null
+                }
+            }
+        });
+
+        this.binder = new UniformBinder(visualizer.sound, this.material, {
+            soundKick: {
+                source: this.options.kick || (() => 0),
+                range: [0, 255],
+                to: [0, 1.275]
+            },
+            spectrumTexture: {
+                source: 'spectrum'
+            }
+        });
+
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.rotation.y = 0.25 * Math.PI;
+        this.points.rotation.x = 0.15 * Math.PI;
+        this.object.add(this.points);
+    }
+
+    update() {
+
+        this.points.rotation.y += 0.0025;
+        this.binder.update();
+    }
+
+    dispose() {
+
+        this.binder.unbind('spectrumTexture');
+        super.dispose();
+    }
+}
+
+class SpherePreset extends Preset {
+
+    // sphere of points, each latitude pushed out by one part of the spectrum
+
+    init() {
+
+        this.radius = this.options.radius || 25;
+        this.geometry = new THREE.IcosahedronBufferGeometry(this.radius, 4);
+        let position = this.geometry.attributes.position;
+        this.directions = new Float32Array(position.array.length);
+        this.latitudes = new Float32Array(position.count);
+        for (let i = 0; i < position.count; i++) {
+            let x = position.getX(i);
+            let y = position.getY(i);
+            let z = position.getZ(i);
+            let length = Math.sqrt(x * x + y * y + z * z);
+            this.directions[i * 3] = x / length;
+            this.directions[i * 3 + 1] = y / length;
+            this.directions[i * 3 + 2] = z / length;
+            this.latitudes[i] = Math.acos(y / length) / Math.PI;
+        }
+
+        this.material = new THREE.PointsMaterial({ color: 0xd925b5, size: 0.8 });
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.object.add(this.points);
+    }
+
+    update(frame) {
+
+        let position = this.geometry.attributes.position;
+        let bins = frame.spectrum.length / 2;
+        let radius = this.radius * (1 + frame.kick * 0.15);
+        for (let i = 0; i < position.count; i++) {
+            let level = frame.spectrum[Math.floor(this.latitudes[i] * (bins - 1))] / 255;
+            let r = radius + level * 12;
+            position.array[i * 3] = this.directions[i * 3] * r;
+            position.array[i * 3 + 1] = this.directions[i * 3 + 1] * r;
+            position.array[i * 3 + 2] = this.directions[i * 3 + 2] * r;
+        }
+        position.needsUpdate = true;
+        this.points.rotation.y += 0.002 + frame.bands.bass * 0.01;
+    }
+}
+
+class RingSpectrumPreset extends Preset {
+
+    // spectrum bars around a circle, mirrored left and right
+
+    init() {
+
+        this.bars = this.options.bars || 128;
+        this.radius = this.options.radius || 20;
+        this.geometry = new THREE.BufferGeometry();
+        this.positions = new Float32Array(this.bars * 2 * 3);
+        let colors = new Float32Array(this.bars * 2 * 3);
+        let from = new THREE.Color(0xd925b5);
+        let to = new THREE.Color(0x4730d0);
+        for (let i = 0; i < this.bars; i++) {
+            let color = from.clone().lerp(to, Math.abs(i / this.bars * 2 - 1));
+            color.toArray(colors, i * 6);
+            color.toArray(colors, i * 6 + 3);
+        }
+        this.geometry.addAttribute('position', new THREE.BufferAttribute(this.positions, 3));
+        this.geometry.addAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+        this.material = new THREE.LineBasicMaterial({ vertexColors: THREE.VertexColors });
+        this.lines = new THREE.LineSegments(this.geometry, this.material);
+        this.object.add(this.lines);
+    }
+
+    update(frame) {
+
+        let bins = frame.spectrum.length / 2;
+        let radius = this.radius * (1 + frame.kick * 0.1);
+        for (let i = 0; i < this.bars; i++) {
+            let angle = i / this.bars * Math.PI * 2;
+            let bin = Math.floor((1 - Math.abs(i / this.bars * 2 - 1)) * (bins - 1));
+            let length = 2 + frame.spectrum[bin] / 255 * 25;
+            let x = Math.sin(angle);
+            let y = Math.cos(angle);
+            this.positions.set([x * radius, y * radius, 0, x * (radius + length), y * (radius + length), 0], i * 6);
+        }
+        this.geometry.attributes.position.needsUpdate = true;
+        this.lines.rotation.z -= 0.001;
+    }
+}
+
+class TerrainWaveformPreset extends Preset {
+
+    // the last waveforms as rows of a scrolling terrain
+
+    init() {
+
+        this.columns = this.options.columns || 128;
+        this.rows = this.options.rows || 48;
+        this.geometry = new THREE.BufferGeometry();
+        this.positions = new Float32Array(this.columns * this.rows * 3);
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.columns; c++) {
+                let i = (r * this.columns + c) * 3;
+                this.positions[i] = (c / (this.columns - 1) - .5) * 90;
+                this.positions[i + 2] = (r / (this.rows - 1) - .5) * 70;
+            }
+        }
+        this.geometry.addAttribute('position', new THREE.BufferAttribute(this.positions, 3));
+
+        this.material = new THREE.PointsMaterial({ color: 0x4730d0, size: 0.8 });
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.rotation.x = 0.2 * Math.PI;
+        this.object.add(this.points);
+    }
+
+    update(frame) {
+
+        let columns = this.columns;
+
+        // scroll the rows back
+        for (let i = this.positions.length / 3 - 1; i >= columns; i--) {
+            this.positions[i * 3 + 1] = this.positions[(i - columns) * 3 + 1];
+        }
+
+        // newest waveform in front
+        let waveform = frame.waveform;
+        let height = 12 * (1 + frame.kick);
+        for (let c = 0; c < columns; c++) {
+            let value = waveform[Math.floor(c / columns * waveform.length)];
+            this.positions[c * 3 + 1] = (value - 128) / 128 * height;
+        }
+        this.geometry.attributes.position.needsUpdate = true;
+    }
+}
+
+class ParticlesPreset extends Preset {
+
+    /**
+       * Particles thrown out of a sphere and carried by a curl noise flow, simulated on the GPU with
+       * float render targets or on the CPU when they are not supported.
+       * count    : number of particles
+       * gpu      : false to force the CPU simulation
+       * lifetime : seconds a particle lives
+       * speed    : initial speed
+       * radius   : radius of the emitter sphere
+       * burst    : speed added on kicks
+       * drag     : velocity damping per second
+       * size     : point size
+       * scale    : size of the flow field swirls, smaller is larger
+       * colors   : [color, color] mixed with the color band
+       * bands    : { emission, flow, size, color } band names driving each parameter
+       */
+
+    init(visualizer) {
+
+        let options = this.options;
+        this.count = options.count || 16384;
+        this.lifetime = options.lifetime || 3;
+        this.speed = options.speed !== undefined ? options.speed : 6;
+        this.radius = options.radius !== undefined ? options.radius : 4;
+        this.burst = options.burst !== undefined ? options.burst : 25;
+        this.drag = options.drag !== undefined ? options.drag : 0.8;
+        this.scale = options.scale || 0.06;
+        this.bands = Object.assign({ emission: 'bass', flow: 'mid', size: 'presence', color: 'high-mid' }, options.bands);
+        this.textureSize = Math.ceil(Math.sqrt(this.count));
+        this.time = 0;
+        this._burst = 0;
+
+        let renderer = visualizer.renderer;
+        this.gpu = options.gpu !== false && renderer.capabilities.maxVertexTextures > 0 && ParticlesPreset.floatTargets(renderer);
+        this.renderer = renderer;
+
+        this.sound = visualizer.sound;
+        this._onKick = () => this._burst = 1;
+        this.sound.on('kick', this._onKick);
+
+        let colors = options.colors || [0xd925b5, 0x4730d0];
+        this.material = new THREE.ShaderMaterial({
+            vertexShader: ParticlesPreset.vertexShader,
+            fragmentShader: ParticlesPreset.fragmentShader,
+            defines: this.gpu ? { GPU: '' } : {},
+            uniforms: {
+                tPosition: { value: null },
+                size: { value: 1 },
+                colorA: { value: new THREE.Color(colors[0]) },
+                colorB: { value: new THREE.Color(colors[1]) },
+                colorMix: { value: 0 }
+            },
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        this.geometry = new THREE.BufferGeometry();
+        let state = this._initialState();
+        if (this.gpu) this._initGpu(state);
+        else this._initCpu(state);
+
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.frustumCulled = false;
+        this.object.add(this.points);
+    }
+
+    // float textures are not enough to render to them, the driver needs color buffer float and some still refuse the target
+
+    static floatTargets(renderer) {
+
+        let extensions = renderer.extensions;
+        if (!extensions.get('OES_texture_float')) return false;
+        if (!extensions.get('WEBGL_color_buffer_float') && !extensions.get('EXT_color_buffer_float')) return false;
+
+        let target = new THREE.WebGLRenderTarget(1, 1, {
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter,
+            format: THREE.RGBAFormat,
+            type: THREE.FloatType,
+            depthBuffer: false,
+            stencilBuffer: false
+        });
+        let current = renderer.getRenderTarget();
+        renderer.setRenderTarget(target);
+        let gl = renderer.getContext();
+        let isComplete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+        renderer.setRenderTarget(current);
+        target.dispose();
+        return isComplete;
+    }
+
+    // particles start dead and are emitted at the emission rate, texels past count never are
+
+    _initialState() {
+
+        let size = this.textureSize;
+        let positions = new Float32Array(size * size * 4);
+        let velocities = new Float32Array(size * size * 4);
+        for (let i = 0; i < size * size; i++) {
+            positions[i * 4 + 3] = i < this.count ? 0 : -10;
+        }
+        return { positions, velocities };
+    }
+
+    _initGpu(state) {
+
+        let size = this.textureSize;
+        let references = new Float32Array(this.count * 2);
+        for (let i = 0; i < this.count; i++) {
+            references[i * 2] = (i % size + .5) / size;
+            references[i * 2 + 1] = (Math.floor(i / size) + .5) / size;
+        }
+        this.geometry.addAttribute('position', new THREE.BufferAttribute(new Float32Array(this.count * 3), 3));
+        this.geometry.addAttribute('reference', new THREE.BufferAttribute(references, 2));
+
+        let target = () => new THREE.WebGLRenderTarget(size, size, {
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter,
+            format: THREE.RGBAFormat,
+            type: THREE.FloatType,
+            depthBuffer: false,
+            stencilBuffer: false
+        });
+        let texture = (data) => {
+            let dataTexture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat, THREE.FloatType);
+            dataTexture.needsUpdate = true;
+            return dataTexture;
+        };
+
+        this._initialTextures = [texture(state.positions), texture(state.velocities)];
+        this._positions = { targets: [target(), target()], texture: this._initialTextures[0], index: 0 };
+        this._velocities = { targets: [target(), target()], texture: this._initialTextures[1], index: 0 };
+
+        let uniforms = {
+            tPosition: { value: null },
+            tVelocity: { value: null },
+            dt: { value: 0 },
+            time: { value: 0 },
+            emission: { value: 0 },
+            radius: { value: this.radius },
+            speed: { value: this.speed },
+            flow: { value: 0 },
+            burst: { value: 0 },
+            drag: { value: this.drag },
+            scale: { value: this.scale },
+            lifetime: { value: this.lifetime }
+        };
+        this.velocityMaterial = new THREE.ShaderMaterial({
+            vertexShader: Pass.vertexShader,
+            fragmentShader: ParticlesPreset.simulationShader + ParticlesPreset.velocityShader,
+            uniforms: uniforms
+        });
+        this.positionMaterial = new THREE.ShaderMaterial({
+            vertexShader: Pass.vertexShader,
+            fragmentShader: ParticlesPreset.simulationShader + ParticlesPreset.positionShader,
+            uniforms: uniforms
+        });
+
+        this._camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this._scene = new THREE.Scene();
+        this._quad = new THREE.Mesh(new THREE.PlaneBufferGeometry(2, 2), this.velocityMaterial);
+        this._quad.frustumCulled = false;
+        this._scene.add(this._quad);
+    }
+
+    _initCpu(state) {
+
+        this.positions = new Float32Array(this.count * 3);
+        this.velocities = new Float32Array(this.count * 3);
+        this.lives = new Float32Array(this.count);
+        for (let i = 0; i < this.count; i++) {
+            this.lives[i] = state.positions[i * 4 + 3];
+        }
+        this.geometry.addAttribute('position', new THREE.BufferAttribute(this.positions, 3));
+        this.geometry.addAttribute('life', new THREE.BufferAttribute(this.lives, 1));
+    }
+
+    update(frame) {
+
+        let dt = frame.dt;
+        this.time += dt;
+
+        // share of the dead particles emitted this frame, all of them on kicks
+        let parameters = {
+            dt: dt,
+            time: this.time,
+            emission: this._burst ? 1 : Math.min(1, 0.02 + frame.bands[this.bands.emission] * 0.3),
+            flow: 4 + frame.bands[this.bands.flow] * 30,
+            burst: this._burst * this.burst
+        };
+        this._burst = 0;
+
+        if (this.gpu) this._simulateOnGpu(parameters);
+        else this._simulateOnCpu(parameters);
+
+        this.material.uniforms.size.value = (this.options.size || 1.5) * (1 + frame.bands[this.bands.size] * 2);
+        this.material.uniforms.colorMix.value = frame.bands[this.bands.color];
+    }
+
+    _simulateOnGpu(parameters) {
+
+        let uniforms = this.velocityMaterial.uniforms;
+        for (let name in parameters) {
+            uniforms[name].value = parameters[name];
+        }
+
+        // velocities first, both passes read the positions of the last frame
+        uniforms.tPosition.value = this._positions.texture;
+        uniforms.tVelocity.value = this._velocities.texture;
+        this._step(this.velocityMaterial, this._velocities);
+
+        uniforms.tVelocity.value = this._velocities.texture;
+        this._step(this.positionMaterial, this._positions);
+
+        this.material.uniforms.tPosition.value = this._positions.texture;
+    }
+
+    _step(material, buffer) {
+
+        let target = buffer.targets[buffer.index];
+        this._quad.material = material;
+        this.renderer.render(this._scene, this._camera, target, true);
+        buffer.texture = target.texture;
+        buffer.index = 1 - buffer.index;
+    }
+
+    // same simulation as the shaders, Math.random in place of the hash
+
+    _simulateOnCpu({ dt, time, emission, flow, burst }) {
+
+        let positions = this.positions;
+        let velocities = this.velocities;
+        let lives = this.lives;
+        let decay = Math.exp(-this.drag * dt);
+        let curl = [0, 0, 0];
+
+        for (let i = 0; i < this.count; i++) {
+            let p = i * 3;
+            if (lives[i] <= 0) {
+                if (Math.random() >= emission) continue;
+                let z = Math.random() * 2 - 1;
+                let a = Math.random() * Math.PI * 2;
+                let r = Math.sqrt(1 - z * z);
+                let direction = [r * Math.cos(a), r * Math.sin(a), z];
+                for (let k = 0; k < 3; k++) {
+                    positions[p + k] = direction[k] * this.radius;
+                    velocities[p + k] = direction[k] * this.speed;
+                }
+                lives[i] = 1;
+                continue;
+            }
+
+            let x = positions[p];
+            let y = positions[p + 1];
+            let z = positions[p + 2];
+            ParticlesPreset.curl(x * this.scale, y * this.scale, z * this.scale, time, curl);
+            let length = Math.sqrt(x * x + y * y + z * z) || 1;
+            for (let k = 0; k < 3; k++) {
+                velocities[p + k] = (velocities[p + k] + curl[k] * flow * dt + positions[p + k] / length * burst) * decay;
+                positions[p + k] += velocities[p + k] * dt;
+            }
+            lives[i] -= dt / this.lifetime;
+        }
+
+        this.geometry.attributes.position.needsUpdate = true;
+        this.geometry.attributes.life.needsUpdate = true;
+    }
+
+    /**
+       * Curl of a sum of sines potential, divergence free so the particles swirl without gathering.
+       * Has to stay in sync with the curl function of simulationShader.
+       */
+
+    static curl(x, y, z, time, out) {
+
+        out[0] = -Math.sin(y + time * 0.31) - Math.cos(z + time * 0.17);
+        out[1] = -Math.sin(z + time * 0.23) - Math.cos(x + time * 0.29);
+        out[2] = -Math.sin(x + time * 0.13) - Math.cos(y + time * 0.37);
+        return out;
+    }
+
+    static get simulationShader() {
+
+        return `
+            uniform sampler2D tPosition;
+            uniform sampler2D tVelocity;
+            uniform float dt;
+            uniform float time;
+            uniform float emission;
+            uniform float radius;
+            uniform float speed;
+            varying vec2 vUv;
+
+            float hash(vec2 p) {
+                return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+            }
+
+            // both passes take the same decision for the same particle and frame
+            bool respawns(vec4 position) {
+                return position.w <= 0.0 && position.w > -2.0 && hash(vUv - fract(time)) < emission;
+            }
+
+            vec3 spawnDirection() {
+                float z = hash(vUv + fract(time)) * 2.0 - 1.0;
+                float a = hash(vUv + fract(time) + 0.31) * 6.2831853;
+                float r = sqrt(1.0 - z * z);
+                return vec3(r * cos(a), r * sin(a), z);
+            }
+
+            vec3 curl(vec3 p) {
+                return vec3(
+                    -sin(p.y + time * 0.31) - cos(p.z + time * 0.17),
+                    -sin(p.z + time * 0.23) - cos(p.x + time * 0.29),
+                    -sin(p.x + time * 0.13) - cos(p.y + time * 0.37)
+                );
+            }
+        `;
+    }
+
+    static get velocityShader() {
+
+        return `
+            uniform float flow;
+            uniform float burst;
+            uniform float drag;
+            uniform float scale;
+
+            void main() {
+                vec4 position = texture2D(tPosition, vUv);
+                vec3 velocity = texture2D(tVelocity, vUv).xyz;
+                if (respawns(position)) {
+                    velocity = spawnDirection() * speed;
+                } else if (position.w > 0.0) {
+                    velocity += curl(position.xyz * scale) * flow * dt;
+                    velocity += normalize(position.xyz + 0.0001) * burst;
+                    velocity *= exp(-drag * dt);
+                }
+                gl_FragColor = vec4(velocity, 1.0);
+            }
+        `;
+    }
+
+    static get positionShader() {
+
+        return `
+            uniform float lifetime;
+
+            void main() {
+                vec4 position = texture2D(tPosition, vUv);
+                if (respawns(position)) {
+                    gl_FragColor = vec4(spawnDirection() * radius, 1.0);
+                } else if (position.w > 0.0) {
+                    vec3 velocity = texture2D(tVelocity, vUv).xyz;
+                    gl_FragColor = vec4(position.xyz + velocity * dt, position.w - dt / lifetime);
+                } else {
+                    gl_FragColor = position;
+                }
+            }
+        `;
+    }
+
+    static get vertexShader() {
+
+        return `
+            uniform float size;
+            #ifdef GPU
+            uniform sampler2D tPosition;
+            attribute vec2 reference;
+            #else
+            attribute float life;
+            #endif
+            varying float vLife;
+
+            void main() {
+                #ifdef GPU
+                vec4 particle = texture2D(tPosition, reference);
+                #else
+                vec4 particle = vec4(position, life);
+                #endif
+                vLife = clamp(particle.w, 0.0, 1.0);
+                vec4 mvPosition = modelViewMatrix * vec4(particle.xyz, 1.0);
+                gl_PointSize = size * vLife * (100.0 / -mvPosition.z);
+                gl_Position = projectionMatrix * mvPosition;
+            }
+        `;
+    }
+
+    static get fragmentShader() {
+
+        return `
+            uniform vec3 colorA;
+            uniform vec3 colorB;
+            uniform float colorMix;
+            varying float vLife;
+
+            void main() {
+                vec2 coord = gl_PointCoord - 0.5;
+                if (dot(coord, coord) > 0.25) discard;
+                vec3 color = mix(colorA, colorB, clamp(colorMix + (1.0 - vLife) * 0.5, 0.0, 1.0));
+                gl_FragColor = vec4(color, vLife);
+            }
+        `;
+    }
+
+    dispose() {
+
+        this.sound.off('kick', this._onKick);
+        if (this.gpu) {
+            this._positions.targets.concat(this._velocities.targets).forEach((target) => target.dispose());
+            this._initialTextures.forEach((texture) => texture.dispose());
+            this.velocityMaterial.dispose();
+            this.positionMaterial.dispose();
+            this._quad.geometry.dispose();
+        }
+        super.dispose();
+    }
+}
+
+class CameraDirector {
+
+    /**
+       * Scripted camera moves synced to the sound, with kick impulses and a handoff to OrbitControls.
+       * controls     : optional THREE.OrbitControls, the user takes over while dragging
+       * shake        : camera shake on kicks, in world units
+       * zoom         : share of the field of view removed on kicks
+       * impulseDecay : seconds for a kick impulse to fade out
+       * idleTime     : seconds without interaction before the script takes the camera back
+       * handoff      : duration of the move back to the script, in seconds
+       * cutBars      : bars between two cuts when a section cycles through shots
+       * beatsPerBar  : beats in a bar for the keyframe positions
+       */
+    constructor(sound, camera, { controls = null, shake = 1.5, zoom = 0.12, impulseDecay = 0.25, idleTime = 4, handoff = 2, cutBars = 2, beatsPerBar = 4 } = {}) {
+
+        this.sound = sound;
+        this.camera = camera;
+        this.controls = controls;
+        this.shake = shake;
+        this.zoom = zoom;
+        this.impulseDecay = impulseDecay;
+        this.idleTime = idleTime;
+        this.handoff = handoff;
+        this.cutBars = cutBars;
+        this.beatsPerBar = beatsPerBar;
+        this.shots = {};
+        this.shot = null;
+
+        this._shotStart = 0;
+        this._sectionShots = {};
+        this._cutShots = null;
+        this._cutIndex = 0;
+        this._impulse = 0;
+        this._lastUpdate = 0;
+
+        // 1 when the script drives the camera, 0 when the user does
+        this._weight = 1;
+        this._isInteracting = false;
+        this._lastInteraction = 0;
+        this._handoffStart = null;
+        this._userPose = null;
+
+        this._rest = {
+            position: camera.position.clone(),
+            target: controls ? controls.target.clone() : new THREE.Vector3(),
+            fov: camera.fov
+        };
+
+        this._onSectionEnter = this.onSectionEnter.bind(this);
+        this._onKick = this.onKick.bind(this);
+        sound.on('sectionenter', this._onSectionEnter);
+        sound.on('kick', this._onKick);
+
+        // unnamed so sections never switch it off
+        this._cutBeat = sound.createBeat({ onBeat: this.onBeat.bind(this) });
+        this._cutBeat.on();
+
+        if (controls) {
+            this._onControlsStart = this.onControlsStart.bind(this);
+            this._onControlsEnd = this.onControlsEnd.bind(this);
+            controls.addEventListener('start', this._onControlsStart);
+            controls.addEventListener('end', this._onControlsEnd);
+        }
+    }
+
+    /**
+       * Add a camera path.
+       * keyframes : [{ bar, position: [x, y, z], target: [x, y, z], fov }], bar counted from the start of the shot
+       *             (seconds without a tempo), target and fov are optional
+       * easing    : UniformBinder.easings name or function, between two keyframes
+       * loop      : start again after the last keyframe
+       */
+
+    addShot(name, { keyframes, easing = 'easeInOutQuad', loop = false }) {
+
+        if (!keyframes || !keyframes.length) throw new Error('Shot "' + name + '" has no keyframes');
+        this.shots[name] = {
+            name: name,
+            keyframes: keyframes.map((keyframe) => ({
+                bar: keyframe.bar || 0,
+                position: new THREE.Vector3().fromArray(keyframe.position),
+                target: keyframe.target ? new THREE.Vector3().fromArray(keyframe.target) : this._rest.target.clone(),
+                fov: keyframe.fov || this._rest.fov
+            })).sort((a, b) => a.bar - b.bar),
+            easing: typeof easing === 'function' ? easing : UniformBinder.easings[easing],
+            loop: loop
+        };
+        return this;
+    }
+
+    // start a shot from its first keyframe, a cut
+
+    play(name) {
+
+        let shot = this.shots[name];
+        if (!shot) throw new Error('Unknown shot "' + name + '"');
+        this.shot = shot;
+        this._shotStart = this.sound.time;
+        return this;
+    }
+
+    /**
+       * Shots played when entering sections. A list of shots is cycled through with a cut every cutBars bars.
+       * shots : { sectionLabel: shotName or [shotName, ...] }
+       */
+
+    bindSections(shots) {
+
+        for (let label in shots) {
+            [].concat(shots[label]).forEach((name) => {
+                if (!this.shots[name]) throw new Error('Unknown shot "' + name + '" in section "' + label + '"');
+            });
+        }
+        this._sectionShots = shots;
+        return this;
+    }
+
+    onSectionEnter(label) {
+
+        let shots = this._sectionShots[label];
+        if (!shots) return;
+        this._cutShots = Array.isArray(shots) && shots.length > 1 ? shots : null;
+        this._cutIndex = 0;
+        this.play([].concat(shots)[0]);
+    }
+
+    // cut to the next shot on the first beat of every cutBars bars
+
+    onBeat(info) {
+
+        if (!this._cutShots || info.beat !== 0 || info.bar % this.cutBars !== 0) return;
+        this._cutIndex = (this._cutIndex + 1) % this._cutShots.length;
+        this.play(this._cutShots[this._cutIndex]);
+    }
+
+    onKick() {
+
+        this._impulse = 1;
+    }
+
+    onControlsStart() {
+
+        this._isInteracting = true;
+        this._weight = 0;
+        this._handoffStart = null;
+    }
+
+    onControlsEnd() {
+
+        this._isInteracting = false;
+        this._lastInteraction = this.sound.now;
+    }
+
+    // { position, target, fov } of a shot, bars after its start
+
+    pose(shot, bars) {
+
+        let keyframes = shot.keyframes;
+        let last = keyframes[keyframes.length - 1];
+        if (shot.loop && last.bar > 0) bars = bars % last.bar;
+
+        let next = keyframes.findIndex((keyframe) => keyframe.bar > bars);
+        if (next === -1) return last;
+        if (next === 0) return keyframes[0];
+
+        let from = keyframes[next - 1];
+        let to = keyframes[next];
+        let t = shot.easing((bars - from.bar) / (to.bar - from.bar));
+        return {
+            position: from.position.clone().lerp(to.position, t),
+            target: from.target.clone().lerp(to.target, t),
+            fov: from.fov + (to.fov - from.fov) * t
+        };
+    }
+
+    // once per frame, before rendering
+
+    update() {
+
+        let now = this.sound.now;
+        let dt = this._lastUpdate ? Math.min(now - this._lastUpdate, 0.1) : 0;
+        this._lastUpdate = now;
+        this._impulse *= Math.exp(-dt / this.impulseDecay);
+
+        let pose = this._rest;
+        if (this.shot) {
+            let barDuration = this.sound.beatDuration ? this.sound.beatDuration * this.beatsPerBar : 1;
+            pose = this.pose(this.shot, Math.max(0, this.sound.time - this._shotStart) / barDuration);
+        }
+
+        // give the camera back to the script once the user let it go long enough
+        if (this.controls && !this._isInteracting && this._weight < 1 && now - this._lastInteraction > this.idleTime) {
+            if (this._handoffStart === null) {
+                this._handoffStart = now;
+                this._userPose = { position: this.camera.position.clone(), target: this.controls.target.clone() };
+            }
+            this._weight = Math.min(1, (now - this._handoffStart) / this.handoff);
+            if (this._weight === 1) this._handoffStart = null;
+        }
+
+        this.camera.fov = pose.fov * (1 - this.zoom * this._impulse);
+        this.camera.updateProjectionMatrix();
+        if (this._weight === 0) return;
+
+        let position = pose.position.clone();
+        let target = pose.target.clone();
+        if (this._weight < 1) {
+            let t = UniformBinder.easings.easeInOutQuad(this._weight);
+            position = this._userPose.position.clone().lerp(position, t);
+            target = this._userPose.target.clone().lerp(target, t);
+        }
+
+        let shake = this.shake * this._impulse * this._weight;
+        position.x += Math.sin(now * 37.1) * shake;
+        position.y += Math.sin(now * 41.3 + 1) * shake;
+        position.z += Math.sin(now * 29.7 + 2) * shake;
+
+        this.camera.position.copy(position);
+        this.camera.lookAt(target);
+        if (this.controls) this.controls.target.copy(target);
+    }
+
+    dispose() {
+
+        this.sound.off('sectionenter', this._onSectionEnter);
+        this.sound.off('kick', this._onKick);
+        this._cutBeat.off();
+        if (this.controls) {
+            this.controls.removeEventListener('start', this._onControlsStart);
+            this.controls.removeEventListener('end', this._onControlsEnd);
+        }
+    }
+}
+
+class PostProcessing {
+
+    /**
+       * Chain of full screen passes drawn after the scene, each one reading the output of the previous.
+       * sound    : Sound the pass bindings read from
+       * renderer : THREE.WebGLRenderer
+       */
+    constructor(sound, renderer) {
+
+        this.sound = sound;
+        this.renderer = renderer;
+        this.passes = [];
+        this._sectionPasses = {};
+
+        let size = renderer.getDrawingBufferSize();
+        this.readTarget = this.createTarget(size.width, size.height);
+        this.writeTarget = this.createTarget(size.width, size.height);
+
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.scene = new THREE.Scene();
+        this.quad = new THREE.Mesh(new THREE.PlaneBufferGeometry(2, 2), null);
+        this.quad.frustumCulled = false;
+        this.scene.add(this.quad);
+
+        this.copyMaterial = new THREE.ShaderMaterial({
+            vertexShader: Pass.vertexShader,
+            fragmentShader: `
+                uniform sampler2D tDiffuse;
+                varying vec2 vUv;
+                void main() {
+                    gl_FragColor = texture2D(tDiffuse, vUv);
+                }`,
+            uniforms: { tDiffuse: { value: null } },
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this._onSectionEnter = this.onSectionEnter.bind(this);
+    }
+
+    createTarget(width, height) {
+
+        return new THREE.WebGLRenderTarget(width, height, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat
+        });
+    }
+
+    add(name, pass) {
+
+        if (this.get(name)) throw new Error('Pass "' + name + '" already exists');
+        pass.name = name;
+        pass.init(this);
+        let size = this.renderer.getDrawingBufferSize();
+        pass.resize(size.width, size.height);
+        this.passes.push(pass);
+        return this;
+    }
+
+    get(name) {
+
+        return this.passes.find((pass) => pass.name === name);
+    }
+
+    remove(name) {
+
+        let pass = this.get(name);
+        if (!pass) return this;
+        this.passes.splice(this.passes.indexOf(pass), 1);
+        pass.dispose();
+        return this;
+    }
+
+    enable(name, enabled = true) {
+
+        let pass = this.get(name);
+        if (!pass) throw new Error('Unknown pass "' + name + '"');
+        pass.enabled = enabled;
+        return this;
+    }
+
+    /**
+       * Enable only some passes when entering sections, sections not listed keep the current passes.
+       * passes : { sectionLabel: [passName, ...] }
+       */
+
+    bindSections(passes) {
+
+        for (let label in passes) {
+            for (let name of passes[label]) {
+                if (!this.get(name)) throw new Error('Unknown pass "' + name + '" in section "' + label + '"');
+            }
+        }
+        this._sectionPasses = passes;
+        this.sound.off('sectionenter', this._onSectionEnter).on('sectionenter', this._onSectionEnter);
+        return this;
+    }
+
+    onSectionEnter(label) {
 
-        let kick = new Kick({ frequency, threshold, decay, onKick, offKick });
-        this._kicks.push(kick);
-        return kick;
+        let enabled = this._sectionPasses[label];
+        if (!enabled) return;
+        for (let pass of this.passes) {
+            pass.enabled = enabled.indexOf(pass.name) !== -1;
+        }
     }
 
-    /**
-       * Beat are detected when the time correspond to duration of one beat (in second) multiplied by the factor
-       * factor : the factor to multiply the duration of one beat
-       * onBeat : the callback to be called when a beat is detected.
-       */
+    // draw a material on the full screen quad, to the screen if target is null
 
-    createBeat({ factor, onBeat }) {
+    renderQuad(material, target) {
 
-        let beat = new Beat({ factor, onBeat });
-        this._beats.push(beat);
-        return beat;
+        this.quad.material = material;
+        this.renderer.render(this.scene, this.camera, target || undefined, !!target);
     }
 
-    get beatDuration() {
+    copy(texture, target) {
 
-        return this._beatDuration;
+        this.copyMaterial.uniforms.tDiffuse.value = texture;
+        this.renderQuad(this.copyMaterial, target);
     }
 
-    //
+    render(scene, camera) {
 
-    onUpdate() {
+        let passes = this.passes.filter((pass) => pass.enabled);
+        if (!passes.length) {
+            this.renderer.render(scene, camera);
+            return;
+        }
 
-        this.req = requestAnimationFrame(this._onUpdate);
+        this.renderer.render(scene, camera, this.readTarget, true);
+        for (let i = 0; i < passes.length; i++) {
+            let last = i === passes.length - 1;
+            passes[i].render(this, this.readTarget, last ? null : this.writeTarget);
+            if (!last) [this.readTarget, this.writeTarget] = [this.writeTarget, this.readTarget];
+        }
+    }
 
-        for (let i in this._sections) {
-            if (this._sections[i].condition())
-                this._sections[i].callback.call(this);
+    resize(width, height) {
+
+        let pixelRatio = this.renderer.getPixelRatio();
+        width = Math.floor(width * pixelRatio);
+        height = Math.floor(height * pixelRatio);
+        this.readTarget.setSize(width, height);
+        this.writeTarget.setSize(width, height);
+        for (let pass of this.passes) {
+            pass.resize(width, height);
         }
+    }
 
-        let spectrum = this.getSpectrum();
-        for (let i in this._kicks) {
-            this._kicks[i].calc(spectrum);
+    dispose() {
+
+        this.sound.off('sectionenter', this._onSectionEnter);
+        for (let pass of this.passes) {
+            pass.dispose();
         }
+        this.passes = [];
+        this.readTarget.dispose();
+        this.writeTarget.dispose();
+        this.copyMaterial.dispose();
+        this.quad.geometry.dispose();
+    }
+}
 
-        let time = Math.max(0, this.time - this._offsetTime);
-        for (let i in this._beats) {
-            this._beats[i].calc(time, this._beatDuration);
+class Pass {
+
+    /**
+       * A full screen shader reading the previous pass from tDiffuse.
+       * fragmentShader : GLSL with a tDiffuse sampler and a vUv varying
+       * uniforms       : { name: value }, resolution (in pixels) is added
+       * bindings       : { uniformName: UniformBinder.bind options } to drive the uniforms with the sound
+       * enabled        : default true
+       */
+    constructor(fragmentShader, { uniforms = {}, bindings = {}, enabled = true } = {}) {
+
+        this.enabled = enabled;
+        this.bindings = bindings;
+
+        let materialUniforms = {
+            tDiffuse: { value: null },
+            resolution: { value: new THREE.Vector2(1, 1) }
+        };
+        for (let name in uniforms) {
+            materialUniforms[name] = { value: uniforms[name] };
         }
 
-        if (this.debug) this.debug.draw();
+        this.material = new THREE.ShaderMaterial({
+            vertexShader: Pass.vertexShader,
+            fragmentShader: fragmentShader,
+            uniforms: materialUniforms,
+            depthTest: false,
+            depthWrite: false
+        });
     }
 
-    onEnded() {
+    static get vertexShader() {
 
-        this.stop();
+        return `
+            varying vec2 vUv;
+            void main() {
+                vUv = uv;
+                gl_Position = vec4(position.xy, 0.0, 1.0);
+            }`;
     }
-};
 
-class Kick {
+    init(postProcessing) {
 
-    constructor({ frequency, threshold, decay, onKick, offKick }) {
+        this.binder = new UniformBinder(postProcessing.sound, this.material, this.bindings);
+    }
 
-        this.frequency = frequency !== undefined ? frequency : [0, 10];
-        this.threshold = threshold !== undefined ? threshold : 0.3;
-        this.decay = decay !== undefined ? decay : 0.02;
-        this.onKick = onKick;
-        this.offKick = offKick;
-        this.isOn = false;
-        this.isKick = false;
-        this.currentThreshold = this.threshold;
+    // drive a uniform with the sound, see UniformBinder.bind
+
+    bind(name, options) {
+
+        this.binder.bind(name, options);
+        return this;
     }
 
-    on() {
+    unbind(name) {
 
-        this.isOn = true;
+        this.binder.unbind(name);
+        return this;
     }
 
-    off() {
+    render(postProcessing, input, output) {
 
-        this.isOn = false;
+        this.binder.update();
+        this.material.uniforms.tDiffuse.value = input.texture;
+        postProcessing.renderQuad(this.material, output);
     }
 
-    set({ frequency, threshold, decay, onKick, offKick }) {
+    resize(width, height) {
 
-        this.frequency = frequency !== undefined ? frequency : this.frequency;
-        this.threshold = threshold !== undefined ? threshold : this.threshold;
-        this.decay = decay !== undefined ? decay : this.decay;
-        this.onKick = onKick || this.onKick;
-        this.offKick = offKick || this.offKick;
+        this.material.uniforms.resolution.value.set(width, height);
     }
 
-    calc(spectrum) {
+    dispose() {
 
-        if (!this.isOn) { return; }
-        let magnitude = this.maxAmplitude(spectrum, this.frequency);
-        if (magnitude >= this.currentThreshold && magnitude >= this.threshold) {
-            this.currentThreshold = magnitude;
-            this.onKick && this.onKick(magnitude);
-            this.isKick = true;
-        } else {
-            this.offKick && this.offKick(magnitude);
-            this.currentThreshold -= this.decay;
-            this.isKick = false;
-        }
+        this.material.dispose();
     }
+}
 
-    maxAmplitude(fft, frequency) {
+class BloomPass extends Pass {
 
-        let max = 0;
+    /**
+       * Glow around the bright parts, blurred in a single pass.
+       * intensity : strength of the glow
+       * threshold : brightness (0 - 1) above which pixels glow
+       * radius    : blur radius in pixels
+       */
+    constructor(options = {}) {
+
+        super(`
+            uniform sampler2D tDiffuse;
+            uniform vec2 resolution;
+            uniform float intensity;
+            uniform float threshold;
+            uniform float radius;
+            varying vec2 vUv;
+            void main() {
+                vec4 color = texture2D(tDiffuse, vUv);
+                vec3 glow = vec3(0.0);
+                float total = 0.0;
+                for (int x = -3; x <= 3; x++) {
+                    for (int y = -3; y <= 3; y++) {
+                        vec2 offset = vec2(float(x), float(y));
+                        float weight = exp(-dot(offset, offset) / 8.0);
+                        vec3 texel = texture2D(tDiffuse, vUv + offset * radius / (3.0 * resolution)).rgb;
+                        glow += max(texel - threshold, 0.0) * weight;
+                        total += weight;
+                    }
+                }
+                gl_FragColor = vec4(color.rgb + glow / total * intensity, color.a);
+            }`, Object.assign({}, options, {
+            uniforms: Object.assign({ intensity: 1.5, threshold: 0.3, radius: 12 }, options.uniforms)
+        }));
+    }
+}
 
-        // Sloppy array check
-        if (!frequency.length) {
-            return frequency < fft.length ? fft[~~frequency] : null;
-        }
+class RGBSplitPass extends Pass {
 
-        for (var i = frequency[0], l = frequency[1]; i <= l; i++) {
-            if (fft[i] > max) { max = fft[i]; }
-        }
+    /**
+       * Chromatic aberration, red and blue pulled apart.
+       * intensity : distance between the channels in pixels
+       * angle     : direction of the split in radians
+       */
+    constructor(options = {}) {
+
+        super(`
+            uniform sampler2D tDiffuse;
+            uniform vec2 resolution;
+            uniform float intensity;
+            uniform float angle;
+            varying vec2 vUv;
+            void main() {
+                vec2 offset = intensity * vec2(cos(angle), sin(angle)) / resolution;
+                vec4 color = texture2D(tDiffuse, vUv);
+                float r = texture2D(tDiffuse, vUv + offset).r;
+                float b = texture2D(tDiffuse, vUv - offset).b;
+                gl_FragColor = vec4(r, color.g, b, color.a);
+            }`, Object.assign({}, options, {
+            uniforms: Object.assign({ intensity: 0, angle: 0 }, options.uniforms)
+        }));
+    }
+}
 
-        return max;
+class FilmGrainPass extends Pass {
+
+    /**
+       * Animated noise over the image.
+       * intensity : amount of grain (0 - 1)
+       */
+    constructor(options = {}) {
+
+        super(`
+            uniform sampler2D tDiffuse;
+            uniform float intensity;
+            uniform float time;
+            varying vec2 vUv;
+            float random(vec2 co) {
+                return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);
+            }
+            void main() {
+                vec4 color = texture2D(tDiffuse, vUv);
+                float noise = random(vUv + fract(time)) - 0.5;
+                gl_FragColor = vec4(color.rgb + noise * intensity, color.a);
+            }`, Object.assign({}, options, {
+            uniforms: Object.assign({ intensity: 0.08, time: 0 }, options.uniforms)
+        }));
     }
-};
 
-class Beat {
+    render(postProcessing, input, output) {
 
-    constructor({ factor, onBeat }) {
+        this.material.uniforms.time.value = postProcessing.sound.now;
+        super.render(postProcessing, input, output);
+    }
+}
 
-        this.factor = factor !== undefined ? factor : 1;
-        this.onBeat = onBeat;
-        this.isOn = false;
-        this.currentTime = 0;
+class FeedbackPass extends Pass {
+
+    /**
+       * Afterimage trails, the previous frames fade out behind the current one.
+       * intensity : how much of the previous frame is kept (0 - 1)
+       * zoom      : scale of the previous frame, above 1 the trails grow outwards
+       */
+    constructor(options = {}) {
+
+        super(`
+            uniform sampler2D tDiffuse;
+            uniform sampler2D tPrevious;
+            uniform float intensity;
+            uniform float zoom;
+            varying vec2 vUv;
+            void main() {
+                vec4 color = texture2D(tDiffuse, vUv);
+                vec4 previous = texture2D(tPrevious, (vUv - 0.5) / zoom + 0.5);
+                gl_FragColor = max(color, previous * intensity);
+            }`, Object.assign({}, options, {
+            uniforms: Object.assign({ intensity: 0.85, zoom: 1, tPrevious: null }, options.uniforms)
+        }));
     }
 
-    on() {
+    init(postProcessing) {
 
-        this.isOn = true;
+        super.init(postProcessing);
+        this._previous = postProcessing.createTarget(1, 1);
+        this._current = postProcessing.createTarget(1, 1);
     }
 
-    off() {
+    // the trails are accumulated in their own targets, then copied to the output
 
-        this.isOn = false;
+    render(postProcessing, input, output) {
+
+        this.binder.update();
+        this.material.uniforms.tDiffuse.value = input.texture;
+        this.material.uniforms.tPrevious.value = this._previous.texture;
+        postProcessing.renderQuad(this.material, this._current);
+        postProcessing.copy(this._current.texture, output);
+        [this._previous, this._current] = [this._current, this._previous];
     }
 
-    set({ factor, onBeat }) {
+    resize(width, height) {
 
-        this.factor = factor !== undefined ? factor : this.factor;
-        this.onBeat = onBeat || this.onBeat;
+        super.resize(width, height);
+        this._previous.setSize(width, height);
+        this._current.setSize(width, height);
     }
 
-    calc(time, beatDuration) {
-        if (time == 0) { return; }
-        let beatDurationFactored = beatDuration * this.factor;
-        if (time >= this.currentTime + beatDurationFactored) {
-            if (this.isOn) this.onBeat && this.onBeat();
-            this.currentTime += beatDurationFactored;
-        }
+    dispose() {
+
+        super.dispose();
+        this._previous.dispose();
+        this._current.dispose();
     }
 }
 
-class Debug {
+class Exporter {
 
-    constructor(sound) {
+    /**
+       * Frame by frame export of the visuals at a fixed fps, driven by the render clock of the sound.
+       * sound    : Sound with a decoded buffer
+       * renderer : THREE.WebGLRenderer whose canvas is exported
+       * render   : draws one frame, the animation loop is paused during exports
+       */
+    constructor(sound, renderer, render) {
 
         this.sound = sound;
+        this.renderer = renderer;
+        this.render = render;
+        this.isExporting = false;
+        this._isCancelled = false;
+        this._wasPlaying = false;
+        this._time = 0;
+        this._request = null;
+    }
 
-        this.canvas = document.createElement('canvas');
-        this.canvas.width = 512;
-        this.canvas.height = 300;
-        this.canvas.style.position = 'absolute';
-        this.canvas.style.bottom = 0;
-        this.canvas.style.left = 0;
-        this.canvas.style.zIndex = 3;
-        document.body.appendChild(this.canvas);
-        this.ctx = this.canvas.getContext('2d');
+    /**
+       * Export a PNG sequence, as fast as the frames render.
+       * fps        : frames per second
+       * start, end : time range in seconds, end defaults to the end of the track
+       * onFrame    : called with (blob, index) for each frame, Exporter.zip bundles them
+       * onProgress : called with the share of frames done (0 - 1)
+       * onError    : required, called with the error when the export can't start or a frame can't be encoded, the export then stops
+       * callback   : called once every frame is exported
+       */
 
-        window.addEventListener('resize', this.resize.bind(this), false);
-        this.resize();
+    exportFrames({ fps = 30, start = 0, end, onFrame, onProgress, onError } = {}, callback) {
+
+        if (!onFrame) throw new Error('exportFrames needs onFrame');
+        if (!onError) throw new Error('exportFrames needs onError');
+
+        this._begin(start, onError, () => {
+            let frames = Math.ceil(((end !== undefined ? end : this.sound.duration) - start) * fps);
+            let index = 0;
+            let next = () => {
+                if (this._isCancelled || index >= frames) {
+                    this._finish();
+                    callback && callback();
+                    return;
+                }
+                this._renderFrame(start + index / fps);
+                this.renderer.domElement.toBlob((blob) => {
+                    // null when the canvas is too large or the memory runs out
+                    if (!blob) {
+                        this._abort(new Error('Frame ' + index + ' could not be encoded'), onError);
+                        return;
+                    }
+                    onFrame(blob, index);
+                    index++;
+                    onProgress && onProgress(index / frames);
+                    setTimeout(next, 0);
+                }, 'image/png');
+            };
+            next();
+        });
     }
 
-    resize() {
-        this.canvas.width = window.innerWidth;
+    /**
+       * Record a WebM with the track audio through MediaRecorder. The recorder runs in real time, so each frame
+       * is rendered when the audio reaches it, a frame slower than 1 / fps is held and the next ones dropped.
+       * Sections, kicks and beats still fire on the dropped frames, export PNG sequences for frame exact videos of heavy scenes.
+       * fps, start, end, onProgress, onError : as in exportFrames
+       * mimeType                             : MediaRecorder mime type
+       * videoBitsPerSecond                   : video bitrate
+       * callback                             : called with the WebM blob (null when cancelled) and the number of dropped frames
+       */
+
+    exportVideo({ fps = 30, start = 0, end, mimeType = 'video/webm', videoBitsPerSecond = 8000000, onProgress, onError } = {}, callback) {
+
+        if (!onError) throw new Error('exportVideo needs onError');
+        if (!window.MediaRecorder || !MediaRecorder.isTypeSupported(mimeType)) throw new Error(mimeType + ' recording is not supported in this browser');
+
+        this._begin(start, onError, () => {
+            let ctx = this.sound.ctx;
+            let duration = (end !== undefined ? end : this.sound.duration) - start;
+            let frames = Math.ceil(duration * fps);
+
+            // audio of the range, only sent to the recorder, the stems mixed as they are heard (volume, mute and solo)
+            let destination = ctx.createMediaStreamDestination();
+            let stems = this.sound.stems;
+            let sources = (stems.length ? stems : [null]).map((stem) => {
+                let source = ctx.createBufferSource();
+                let gain = ctx.createGain();
+                source.buffer = stem ? stem.buffer : this.sound.buffer;
+                gain.gain.value = stem ? (stem.isAudible ? stem.volume : 0) : 1;
+                source.connect(gain);
+                gain.connect(destination);
+                return source;
+            });
+
+            let stream = this.renderer.domElement.captureStream(0);
+            let videoTrack = stream.getVideoTracks()[0];
+            stream.addTrack(destination.stream.getAudioTracks()[0]);
+
+            let chunks = [];
+            let recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond });
+            recorder.ondataavailable = (e) => {
+                if (e.data.size) chunks.push(e.data);
+            };
+            recorder.onstop = () => {
+                sources.forEach((source) => source.disconnect());
+                videoTrack.stop();
+                let isCancelled = this._isCancelled;
+                this._finish();
+                callback && callback(isCancelled ? null : new Blob(chunks, { type: mimeType }), dropped);
+            };
+
+            let audioStart = ctx.currentTime + 0.1;
+            let index = 0;
+            let dropped = 0;
+            recorder.start();
+            sources.forEach((source) => source.start(audioStart, start, duration));
+
+            let draw = () => {
+                if (this._isCancelled || index >= frames) {
+                    sources.forEach((source) => source.stop());
+                    recorder.stop();
+                    return;
+                }
+                this._request = requestAnimationFrame(draw);
+                let due = Math.min(frames - 1, Math.floor((ctx.currentTime - audioStart) * fps));
+                if (due < index) return;
+                dropped += due - index;
+                this._renderFrame(start + due / fps);
+                videoTrack.requestFrame();
+                index = due + 1;
+                onProgress && onProgress(index / frames);
+            };
+            draw();
+        });
     }
 
-    draw() {
+    cancel() {
 
-        let borderHeight = 10;
+        this._isCancelled = true;
+    }
 
-        // draw background
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        this.ctx.beginPath();
-        this.ctx.rect(0, 0, this.canvas.width, this.canvas.height);
-        this.ctx.fillStyle = '#000000';
-        this.ctx.fill();
-        this.ctx.strokeStyle = '#a1a1a1';
-        this.ctx.stroke();
+    // the sound goes back to where it was once exported, playing only if it was
 
-        // draw spectrum
-        this.ctx.beginPath();
-        let spectrum = this.sound.getSpectrum();
-        let spectrumValue = null;
-        let spectrumLength = spectrum.length;
-        let spectrumWidth = this.canvas.width / spectrumLength;
-        let spectrumHeight = this.canvas.height - borderHeight;
-        for (let i = 0; i < spectrumLength; i++) {
+    _begin(start, onError, ready) {
 
-            spectrumValue = spectrum[i] / 256;
-            this.ctx.rect(i * spectrumWidth, spectrumHeight - spectrumHeight * spectrumValue, spectrumWidth / 2, spectrumHeight * spectrumValue);
-        }
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.fill();
+        if (this.isExporting) throw new Error('An export is already running');
+        if (!this.sound.buffer) throw new Error('Exports need a decoded buffer');
+        this.isExporting = true;
+        this._isCancelled = false;
+        this._wasPlaying = this.sound.isPlaying;
+        this._time = this.sound.time;
+        this.renderer.setAnimationLoop(null);
+        this.sound.startRender(start, (error) => {
+            if (error) this._abort(error, onError);
+            else ready();
+        });
+    }
 
-        // draw frequency
-        this.ctx.beginPath();
-        this.ctx.font = "10px Arial";
-        this.ctx.textBaseline = 'middle';
-        this.ctx.textAlign = "left";
-        for (let i = 0, len = spectrumLength; i < len; i++) {
+    _abort(error, onError) {
 
-            if (i % 10 == 0) {
-                this.ctx.rect(i * spectrumWidth, spectrumHeight, spectrumWidth / 2, borderHeight);
-                this.ctx.fillText(i, i * spectrumWidth + 4, spectrumHeight + borderHeight * .5);
-            }
-        }
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.fill();
+        this._finish();
+        onError(error);
+    }
 
-        // draw kick
-        let kicks = this.sound._kicks;
-        let kick = null;
-        let kickLength = kicks.length;
-        let kickFrequencyStart = null;
-        let kickFrequencyLength = null;
-        for (let i = 0, len = kickLength; i < len; i++) {
+    // step exactly to the frame time, so rounding doesn't add up over thousands of frames
 
-            kick = kicks[i];
-            if (kick.isOn) {
-                kickFrequencyStart = (kick.frequency.length ? kick.frequency[0] : kick.frequency);
-                kickFrequencyLength = (kick.frequency.length ? kick.frequency[1] - kick.frequency[0] + 1 : 1);
-                this.ctx.beginPath();
-                this.ctx.rect(kickFrequencyStart * spectrumWidth, spectrumHeight - spectrumHeight * (kick.threshold / 256), kickFrequencyLength * spectrumWidth - (spectrumWidth * .5), 2);
-                this.ctx.rect(kickFrequencyStart * spectrumWidth, spectrumHeight - spectrumHeight * (kick.currentThreshold / 256), kickFrequencyLength * spectrumWidth - (spectrumWidth * .5), 5);
-                this.ctx.fillStyle = kick.isKick ? '#00ff00' : '#ff0000';
-                this.ctx.fill();
-            }
-        }
+    _renderFrame(time) {
 
-        // draw waveform
-        this.ctx.beginPath();
-        let waveform = this.sound.getWaveform();
-        let waveformValue = null;
-        let waveformLength = waveform.length;
-        let waveformWidth = this.canvas.width / waveformLength;
-        let waveformHeight = this.canvas.height - borderHeight;
-        for (let i = 0; i < waveformLength; i++) {
+        this.sound.step(time - this.sound.time);
+        this.render();
+    }
 
-            waveformValue = waveform[i] / 256;
-            if (i == 0) this.ctx.moveTo(i * waveformWidth, waveformHeight * waveformValue);
-            else this.ctx.lineTo(i * waveformWidth, waveformHeight * waveformValue);
-        }
-        this.ctx.strokeStyle = '#0000ff';
-        this.ctx.stroke();
+    _finish() {
 
-        // draw time
-        this.ctx.beginPath();
-        this.ctx.textAlign = "right";
-        this.ctx.textBaseline = 'top';
-        this.ctx.font = "15px Arial";
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.fillText((Math.round(this.sound.time * 10) / 10) + ' / ' + (Math.round(this.sound.duration * 10) / 10), this.canvas.width - 5, 5);
+        cancelAnimationFrame(this._request);
+        this.sound.stopRender();
+        this._wasPlaying ? this.sound.play(this._time) : this.sound.seek(this._time);
+        this.renderer.setAnimationLoop(this.render);
+        this.isExporting = false;
+    }
 
-        // draw section
-        this.ctx.beginPath();
-        let sections = this.sound._sections;
-        let section = null;
-        let sectionLength = sections.length;
-        let sectionLabels = '';
-        for (let i = 0, len = sectionLength; i < len; i++) {
+    /**
+       * Bundle files in a zip, stored without compression as PNGs don't compress further.
+       * files    : [{ name, blob }]
+       * callback : called with the zip blob
+       * onError  : required, called with the error when a file can't be read
+       */
 
-            section = sections[i];
-            if (section.condition()) {
-                sectionLabels += section.label + ' - ';
+    static zip(files, callback, onError) {
+
+        if (!onError) throw new Error('zip needs onError');
+
+        let parts = [];
+        let entries = [];
+        let offset = 0;
+        let add = (file, data) => {
+            let name = new TextEncoder().encode(file.name);
+            let crc = Exporter.crc32(data);
+            let header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(12, 0x21, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            parts.push(header, name, data);
+
+            let entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(14, 0x21, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            entries.push(entry, name);
+            offset += 30 + name.length + data.length;
+        };
+        let end = () => {
+            let size = entries.reduce((sum, item) => sum + item.byteLength, 0);
+            let record = new DataView(new ArrayBuffer(22));
+            record.setUint32(0, 0x06054b50, true);
+            record.setUint16(8, files.length, true);
+            record.setUint16(10, files.length, true);
+            record.setUint32(12, size, true);
+            record.setUint32(16, offset, true);
+            callback(new Blob(parts.concat(entries, [record]), { type: 'application/zip' }));
+        };
+
+        // read one file at a time, the frames can be many
+        let index = 0;
+        let next = () => {
+            if (index >= files.length) {
+                end();
+                return;
+            }
+            let reader = new FileReader();
+            reader.onload = () => {
+                add(files[index], new Uint8Array(reader.result));
+                index++;
+                next();
+            };
+            reader.onerror = () => onError(new Error('Reading ' + files[index].name + ' failed'));
+            reader.readAsArrayBuffer(files[index].blob);
+        };
+        next();
+    }
+
+    static crc32(data) {
+
+        if (!Exporter._crcTable) {
+            Exporter._crcTable = new Uint32Array(256);
+            for (let i = 0; i < 256; i++) {
+                let c = i;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                Exporter._crcTable[i] = c;
             }
         }
-        if (sectionLabels.length > 0) sectionLabels = sectionLabels.substr(0, sectionLabels.length - 3);
-        this.ctx.fillText(sectionLabels, this.canvas.width - 5, 25);
-        this.ctx.fill();
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) crc = Exporter._crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    static download(blob, name) {
+
+        let link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
     }
 }
 
@@ -548,7 +7066,10 @@ class Debug {
 var tick = 0;
 var isKick = 0;
 var src = 'https://res.cloudinary.com/dn32la6ny/video/upload/v1543921743/Worakls-Bleu.mp3';
-var sound = new Sound(src, 100, 0);
+// ?debug shows the timeline editor
+var sound = new Sound(null, 100, 0, null, /[?&]debug\b/.test(window.location.search), true);
+var playlist = new Playlist(sound, { crossfade: 4 });
+var midi = new Midi(sound);
 var firstKicks;
 var secondtKicks;
 var thirdKicks;
@@ -556,20 +7077,74 @@ var fourthKicks;
 var fifthKicks;
 var sixthKicks;
 var seventhKicks;
+var adaptiveKicks;
+var kickEnvelope;
 var container;
 var scene;
 var camera;
 var renderer;
 var controls;
-var geometry;
-var material;
-var points;
-
-document.getElementById('start').addEventListener("click", start);
+var director;
+var exporter;
+var tweaks;
+var liveControls;
+var visualizer;
+var postProcessing;
+
+playlist.add({
+    title: 'WORAKLS - BLEU',
+    src: src,
+    bpm: 100,
+    offsetTime: 0,
+    cueSheet: 'assets/cues/worakls-bleu.json'
+});
+// a dropped MIDI file is for the track started next, the other tracks play without one
+var midiFile = null;
+playlist.on('trackchange', (track) => {
+    document.querySelector('#app .title').textContent = track.title;
+    midi.setFile(midiFile);
+    midiFile = null;
+});
+
+document.getElementById('start').addEventListener("click", () => start());
+
+var drop = document.getElementById('drop');
+drop.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    drop.classList.add('over');
+}, false);
+drop.addEventListener('dragleave', () => {
+    drop.classList.remove('over');
+}, false);
+drop.addEventListener('drop', (e) => {
+    e.preventDefault();
+    drop.classList.remove('over');
+    let file = e.dataTransfer.files[0];
+    if (!file) return;
+    // a MIDI file exported from the project of the track gives exact cues
+    if (/\.midi?$/i.test(file.name)) {
+        midi.load(file, {}, (parsed) => {
+            midiFile = parsed;
+            drop.textContent = file.name + " loaded, drop a track or start";
+        }, (e) => {
+            console.log(e);
+            drop.textContent = file.name + " could not be loaded";
+        });
+        return;
+    }
+    drop.textContent = "Loading " + file.name;
+    playlist.add({
+        title: file.name.replace(/\.[^.]+$/, '').toUpperCase(),
+        src: file,
+        cueSheet: { sections: [{ label: 'track', start: 0, kicks: ['adaptive'] }] }
+    });
+    start(playlist.tracks.length - 1);
+}, false);
 
 function app() {
 
     firstKicks = sound.createKick({
+        name: 'first',
         frequency: [3, 10],
         threshold: 230,
         decay: 5.0,
@@ -577,9 +7152,11 @@ function app() {
             isKick = kick
         }, offKick: null
     });
+    // on until the cue sheet is loaded, and if it can't be
     firstKicks.on();
 
     secondtKicks = sound.createKick({
+        name: 'second',
         frequency: [65, 90],
         threshold: 40,
         decay: 10.9,
@@ -589,6 +7166,7 @@ function app() {
     });
 
     thirdKicks = sound.createKick({
+        name: 'third',
         frequency: [120, 130],
         threshold: 20,
         decay: 10.9,
@@ -598,6 +7176,7 @@ function app() {
     });
 
     fourthKicks = sound.createKick({
+        name: 'fourth',
         frequency: [160, 190],
         threshold: 40,
         decay: 10.9,
@@ -607,6 +7186,7 @@ function app() {
     });
 
     fifthKicks = sound.createKick({
+        name: 'fifth',
         frequency: [70, 180],
         threshold: 10,
         decay: 10.9,
@@ -616,6 +7196,7 @@ function app() {
     });
 
     sixthKicks = sound.createKick({
+        name: 'sixth',
         frequency: [70, 180],
         threshold: 60,
         decay: 10.9,
@@ -625,6 +7206,7 @@ function app() {
     });
 
     seventhKicks = sound.createKick({
+        name: 'seventh',
         frequency: [160, 190],
         threshold: 10,
         decay: 10.9,
@@ -633,45 +7215,38 @@ function app() {
         }, offKick: null
     });
 
-    sound.onceAt('firstChangeKick', 45, () => {
-        firstKicks.off()
-        secondtKicks.on()
-        thirdKicks.off()
-        fourthKicks.off()
-        fifthKicks.off()
-        this.sixthKicks.off()
-        seventhKicks.off()
-    })
-
-    sound.onceAt('secondChangeKick', 61, () => {
-        firstKicks.off()
-        secondtKicks.off()
-        thirdKicks.on()
-        fourthKicks.off()
-        fifthKicks.off()
-        sixthKicks.off()
-        seventhKicks.off()
-    })
-
-    sound.onceAt('thirdChangeKick', 63, () => {
-        firstKicks.off()
-        secondtKicks.off()
-        thirdKicks.off()
-        fourthKicks.on()
-        fifthKicks.off()
-        sixthKicks.off()
-        seventhKicks.on()
-    })
-
-    sound.onceAt('fourthChangeKick', 145.8, () => {
-        firstKicks.off()
-        secondtKicks.off()
-        thirdKicks.off()
-        fourthKicks.off()
-        fifthKicks.on()
-        sixthKicks.on()
-        seventhKicks.off()
-    })
+    // one kick for any track, used for dropped files
+    adaptiveKicks = sound.createKick({
+        name: 'adaptive',
+        mode: 'adaptive',
+        band: 'bass',
+        onKick: (kick) => {
+            isKick = kick * 8
+        }, offKick: null
+    });
+
+    kickEnvelope = sound.createEnvelope({
+        kick: true,
+        attack: 0.02,
+        decay: 0.4
+    });
+
+    // MIDI notes hit like kicks, from the dropped MIDI file or from the devices with ?midi
+    midi.createTrigger({
+        name: 'midi',
+        onKick: (velocity) => {
+            isKick = velocity * 255
+        }
+    });
+    if (/[?&]midi\b/.test(window.location.search)) midi.connect();
+
+    // the analyser hears the dry track so the kick thresholds don't depend on the effects
+    sound.addEffect('filter', new FilterEffect({ frequency: 20000, Q: 4, analyser: 'pre' }));
+    sound.addEffect('delay', new DelayEffect({ beats: 0.75, feedback: 0.45, mix: 0, analyser: 'pre' }));
+
+    // press P to tweak the kicks
+    tweaks = new TweakPanel(sound);
+    tweaks.refresh();
 
     container = document.querySelector('#main');
     document.body.appendChild(container);
@@ -687,68 +7262,169 @@ function app() {
     renderer.setClearColor(0x1c1c1f, 1);
     container.appendChild(renderer.domElement);
 
-    controls = new THREE.OrbitControls(this.camera, this.renderer.domElement);
+    controls = new THREE.OrbitControls(camera, renderer.domElement);
+
+    director = new CameraDirector(sound, camera, { controls });
+    director
+        .addShot('front', { keyframes: [{ bar: 0, position: [0, 0, 100] }, { bar: 8, position: [0, 15, 85] }] })
+        .addShot('orbit', {
+            keyframes: [
+                { bar: 0, position: [0, 20, 90] },
+                { bar: 2, position: [90, 10, 0] },
+                { bar: 4, position: [0, 0, -90] },
+                { bar: 6, position: [-90, 10, 0] },
+                { bar: 8, position: [0, 20, 90] }
+            ],
+            easing: 'linear',
+            loop: true
+        })
+        .addShot('close', { keyframes: [{ bar: 0, position: [0, 0, 55], fov: 60 }, { bar: 4, position: [20, -10, 60], fov: 50 }], loop: true })
+        .addShot('high', { keyframes: [{ bar: 0, position: [0, 80, 60] }, { bar: 4, position: [0, 60, 40] }] })
+        .bindSections({
+            intro: 'front',
+            firstChangeKick: ['orbit', 'close'],
+            secondChangeKick: 'high',
+            thirdChangeKick: ['orbit', 'close', 'high'],
+            fourthChangeKick: ['close', 'orbit'],
+            track: ['front', 'orbit', 'close', 'high']
+        });
 
-    geometry = new THREE.BoxBufferGeometry(40, 40, 40, 80, 80, 80);
+    postProcessing = new PostProcessing(sound, renderer);
+    postProcessing
+        .add('feedback', new FeedbackPass({
+            bindings: { intensity: { source: 'bass', range: [60, 220], to: [0.6, 0.92], smoothing: 0.2 } }
+        }))
+        .add('bloom', new BloomPass({
+            bindings: { intensity: { source: kickEnvelope, to: [0.8, 3] } }
+        }))
+        .add('rgbSplit', new RGBSplitPass({
+            bindings: {
+                intensity: { source: kickEnvelope, to: [0, 12], easing: 'easeOutQuad' },
+                angle: { source: 'barPhase', to: [0, Math.PI * 2] }
+            }
+        }))
+        .add('grain', new FilmGrainPass())
+        .bindSections({
+            intro: ['bloom', 'grain'],
+            firstChangeKick: ['bloom', 'rgbSplit', 'grain'],
+            secondChangeKick: ['feedback', 'bloom', 'grain'],
+            thirdChangeKick: ['feedback', 'bloom', 'rgbSplit', 'grain'],
+            fourthChangeKick: ['feedback', 'bloom', 'rgbSplit', 'grain'],
+            track: ['feedback', 'bloom', 'rgbSplit', 'grain']
+        });
 
-    let uniforms = {
-        soundKick: {
-            type: "f",
-            value: 0.0
-        }
-    };
+    visualizer = new Visualizer(sound, { scene, camera, renderer, transition: 1.5, postProcessing });
+    visualizer
+        .register('cube', new NoiseCubePreset({ kick: () => isKick * kickEnvelope.value }))
+        .register('sphere', new SpherePreset())
+        .register('ring', new RingSpectrumPreset())
+        .register('terrain', new TerrainWaveformPreset())
+        .register('particles', new ParticlesPreset({ count: 32768 }))
+        .use('cube', { duration: 0 })
+        .bindSections({
+            intro: 'cube',
+            firstChangeKick: 'sphere',
+            secondChangeKick: 'ring',
+            thirdChangeKick: 'particles',
+            fourthChangeKick: 'terrain',
+            track: 'cube'
+        });
 
-    material = new THREE.ShaderMaterial({
-        vertexShader: document.getElementById("vert-shader").textContent,
-        fragmentShader: document.getElementById("frag-shader").textContent,
-        uniforms: uniforms
+    // the track plays from the right of the scene and is heard from the camera, orbit to move the mix
+    // the speaker stays in the scene, the preset objects are hidden and scaled down when switched off
+    let speaker = new THREE.Object3D();
+    speaker.position.x = 20;
+    scene.add(speaker);
+    sound.addEffect('space', new PannerEffect({ object: speaker, refDistance: 100, rolloff: 1.5, analyser: 'pre' }));
+    sound.listener = camera;
+
+    // keys, touch gestures and gamepad buttons for live sets, Space plays and pauses
+    // gestures on their own strip, the canvas drags the camera
+    liveControls = new LiveControls(sound, {
+        visualizer,
+        element: document.getElementById('gestures'),
+        onKick: () => {
+            isKick = 255
+        }
     });
 
-    points = new THREE.Points(this.geometry, this.material);
-    points.rotation.y = 0.25 * Math.PI;
-    points.rotation.x = 0.15 * Math.PI;
-
-    scene.add(points);
-
     window.addEventListener('resize', onWindowResize.bind(this), false);
     onWindowResize();
 
-    renderer.setAnimationLoop(render.bind(this));
+    exporter = new Exporter(sound, renderer, render);
+
+    renderer.setAnimationLoop(render);
 }
 
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
+    visualizer.resize(window.innerWidth, window.innerHeight);
 }
 
 function render() {
     tick++;
-    points.rotation.y += 0.0025;
-    material.uniforms.soundKick.value = this.isKick * 0.005
-    renderer.render(scene, camera);
+    director.update();
+    visualizer.render();
 }
 
+// export the whole track, the sound then goes on from where it was
+document.querySelectorAll('#export button').forEach((button) => {
+    button.addEventListener('click', () => {
+        if (!exporter || exporter.isExporting || !sound.buffer) return;
+        let label = button.innerHTML;
+        let onProgress = (progress) => button.innerHTML = Math.floor(progress * 100) + '%';
+        let onError = (e) => {
+            console.log(e);
+            button.innerHTML = label;
+        };
+        if (button.dataset.format === 'png') {
+            // a zip every 10 seconds of frames, the whole track would not fit in memory
+            let frames = [];
+            let flush = () => {
+                let files = frames;
+                frames = [];
+                if (files.length) Exporter.zip(files, (zip) => Exporter.download(zip, files[0].name.replace('.png', '.zip')), onError);
+            };
+            let onFrame = (blob, index) => {
+                frames.push({ name: 'frame-' + String(index).padStart(5, '0') + '.png', blob: blob });
+                if (frames.length === 300) flush();
+            };
+            exporter.exportFrames({ fps: 30, onFrame, onProgress, onError }, () => {
+                flush();
+                button.innerHTML = label;
+            });
+        } else {
+            exporter.exportVideo({ fps: 60, onProgress, onError }, (blob, dropped) => {
+                if (blob) Exporter.download(blob, playlist.current.title + '.webm');
+                if (dropped) console.log(dropped + ' frames were dropped, export PNG frames for an exact video');
+                button.innerHTML = label;
+            });
+        }
+    });
+});
+
 if (sound.ctx.state === 'suspended' && 'ontouchstart' in window) {
     var unlock = function () {
         sound.ctx.resume().then(function () {
-            sound.play()
             document.body.removeEventListener('touchstart', unlock);
             document.body.removeEventListener('touchend', unlock);
             document.getElementById("home").style.display = "none"
             document.getElementById("app").style.display = "contents"
             document.getElementById("main").style.display = "contents"
             app()
+            playlist.play()
         });
     };
     document.body.addEventListener('touchstart', unlock, false);
     document.body.addEventListener('touchend', unlock, false);
 }
 
-function start() {
-    sound.play()
+function start(index = 0) {
     document.getElementById("home").style.display = "none";
     document.getElementById("app").style.display = "initial";
     document.getElementById("main").style.display = "initial";
     app()
+    playlist.play(index)
 }
\ No newline at end of file